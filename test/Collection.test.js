@@ -0,0 +1,2205 @@
+import {EventEmitter, Model, Collection} from '../vertebrate.js';
+import assert from 'assert';
+import sinon from 'sinon';
+
+class Deferred {
+  constructor() {
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+  }
+}
+
+// A fake response body, read the way the library reads every body.
+function jsonText(data) {
+  return () => Promise.resolve(JSON.stringify(data));
+}
+
+function ids(models) {
+  return [...models].map(model => model.id);
+}
+
+describe('Collection', () => {
+  let sandbox = sinon.sandbox.create();
+  let fakeFetch;
+  let fetchDeferred;
+
+  beforeEach(() => {
+    fetchDeferred = new Deferred();
+
+    fakeFetch = sandbox.stub().returns(fetchDeferred.promise);
+
+    global.fetch = fakeFetch;
+  });
+
+  afterEach(() => sandbox.restore());
+
+  describe('class', () => {
+    it('is a function', () => {
+        assert.equal(typeof Collection, 'function');
+    });
+
+    it('throws when called without new', () => {
+        assert.throws(Collection);
+    });
+
+    it('returns an object when called with new', () => {
+        assert.doesNotThrow(() => new Collection());
+    });
+  });
+
+  describe('instance', () => {
+    let collection;
+
+    beforeEach(() => {
+      collection = new Collection();
+    });
+
+    it('is an instance of Collection', () => {
+      assert.ok(collection instanceof Collection);
+    });
+
+    it('is an instance of EventEmitter', () => {
+      assert.ok(collection instanceof EventEmitter);
+    });
+
+    describe('constructor', () => {
+      it('adds models passed to it', () => {
+        let model = new Model({id: 1});
+
+        collection = new Collection([model, {id: 2}]);
+
+        assert.equal(collection.length, 2);
+        assert.equal(collection.at(0), model);
+        assert.equal(collection.at(1).id, 2);
+      });
+
+      it('uses Model as the model class by default', () => {
+        assert.equal(collection.model, Model);
+      });
+
+      it('uses options.model as the model class when given', () => {
+        class TestModel extends Model {}
+
+        collection = new Collection([{id: 1}], {model: TestModel});
+
+        assert.equal(collection.model, TestModel);
+        assert.ok(collection.at(0) instanceof TestModel);
+      });
+    });
+
+    describe('add', () => {
+      let addHandler;
+
+      beforeEach(() => {
+        addHandler = sandbox.stub();
+        collection.on('add', addHandler);
+      });
+
+      it('adds a model', () => {
+        let model = new Model({id: 1});
+
+        collection.add(model);
+
+        assert.equal(collection.length, 1);
+        assert.equal(collection.at(0), model);
+      });
+
+      it('adds an array of models', () => {
+        collection.add([new Model({id: 1}), new Model({id: 2})]);
+
+        assert.equal(collection.length, 2);
+      });
+
+      it('creates models of the model class from attributes', () => {
+        collection.add({id: 1, a: 2});
+
+        let model = collection.at(0);
+
+        assert.ok(model instanceof Model);
+        assert.equal(model.get('a'), 2);
+        assert.equal(model.collection, collection);
+      });
+
+      it('sets the collection of an added model', () => {
+        let model = new Model();
+
+        collection.add(model);
+
+        assert.equal(model.collection, collection);
+      });
+
+      it('does not replace the collection of a model which already has one', () => {
+        let otherCollection = new Collection();
+        let model = new Model({}, {collection: otherCollection});
+
+        collection.add(model);
+
+        assert.equal(model.collection, otherCollection);
+      });
+
+      it('ignores a model which is already in the collection', () => {
+        let model = new Model();
+
+        collection.add(model);
+        collection.add(model);
+
+        assert.equal(collection.length, 1);
+        assert.equal(addHandler.callCount, 1);
+      });
+
+      it('ignores a model with the ID of a model already in the collection', () => {
+        collection.add({id: 1});
+        collection.add({id: 1});
+
+        assert.equal(collection.length, 1);
+      });
+
+      it('merges attributes into a model with the same ID when the merge option is truthy', () => {
+        collection.add({id: 1, a: 1});
+        collection.add({id: 1, a: 2}, {merge: true});
+
+        assert.equal(collection.length, 1);
+        assert.equal(collection.get(1).get('a'), 2);
+      });
+
+      it('emits "add" with the model for each added model', () => {
+        let model = new Model();
+
+        collection.add(model);
+
+        assert.equal(addHandler.callCount, 1);
+        assert.ok(addHandler.calledWithExactly(model));
+      });
+
+      it('does not emit "add" when the silent option is truthy', () => {
+        collection.add(new Model(), {silent: true});
+
+        assert.equal(addHandler.callCount, 0);
+      });
+
+      it('returns the instance for chaining', () => {
+        assert.equal(collection.add(new Model()), collection);
+      });
+    });
+
+    describe('remove', () => {
+      let model;
+      let removeHandler;
+
+      beforeEach(() => {
+        model = new Model({id: 1});
+        collection.add([model, {id: 2}]);
+
+        removeHandler = sandbox.stub();
+        collection.on('remove', removeHandler);
+      });
+
+      it('removes a model', () => {
+        collection.remove(model);
+
+        assert.equal(collection.length, 1);
+        assert.equal(collection.get(1), undefined);
+      });
+
+      it('removes a model by ID', () => {
+        collection.remove(1);
+
+        assert.equal(collection.length, 1);
+        assert.equal(collection.at(0).id, 2);
+      });
+
+      it('removes an array of models', () => {
+        collection.remove([1, 2]);
+
+        assert.equal(collection.length, 0);
+      });
+
+      it('clears the collection of a removed model', () => {
+        collection.remove(model);
+
+        assert.equal(model.collection, undefined);
+      });
+
+      it('does not clear the collection of a removed model which belongs to another', () => {
+        let otherCollection = new Collection();
+        let otherModel = new Model({}, {collection: otherCollection});
+
+        collection.add(otherModel);
+        collection.remove(otherModel);
+
+        assert.equal(otherModel.collection, otherCollection);
+      });
+
+      it('ignores models which are not in the collection', () => {
+        collection.remove(new Model({id: 3}));
+        collection.remove(4);
+
+        assert.equal(collection.length, 2);
+        assert.equal(removeHandler.callCount, 0);
+      });
+
+      it('emits "remove" with the model for each removed model', () => {
+        collection.remove(model);
+
+        assert.equal(removeHandler.callCount, 1);
+        assert.ok(removeHandler.calledWithExactly(model));
+      });
+
+      it('does not emit "remove" when the silent option is truthy', () => {
+        collection.remove(model, {silent: true});
+
+        assert.equal(removeHandler.callCount, 0);
+      });
+
+      it('is called when a model in the collection is destroyed', () => {
+        collection.url = () => '/a/b/c';
+
+        model.destroy();
+
+        assert.equal(collection.length, 1);
+        assert.equal(removeHandler.callCount, 1);
+      });
+
+      it('returns the instance for chaining', () => {
+        assert.equal(collection.remove(model), collection);
+      });
+    });
+
+    describe('get', () => {
+      it('gets a model by ID', () => {
+        let model = new Model({id: 'an-id'});
+
+        collection.add(model);
+
+        assert.equal(collection.get('an-id'), model);
+      });
+
+      it('gets a model which was given an ID after it was added', () => {
+        let model = new Model();
+
+        collection.add(model);
+        model.id = 5;
+
+        assert.equal(collection.get(5), model);
+      });
+
+      it('returns undefined for an unknown ID', () => {
+        assert.equal(collection.get(1), undefined);
+      });
+
+      it('returns undefined for an undefined ID', () => {
+        collection.add(new Model());
+
+        assert.equal(collection.get(undefined), undefined);
+      });
+    });
+
+    describe('at', () => {
+      beforeEach(() => {
+        collection.add([{id: 1}, {id: 2}, {id: 3}]);
+      });
+
+      it('gets a model by index', () => {
+        assert.equal(collection.at(1).id, 2);
+      });
+
+      it('gets a model by a negative index from the end', () => {
+        assert.equal(collection.at(-1).id, 3);
+      });
+
+      it('returns undefined for an index out of range', () => {
+        assert.equal(collection.at(3), undefined);
+      });
+    });
+
+    describe('length', () => {
+      it('is the number of models in the collection', () => {
+        assert.equal(collection.length, 0);
+
+        collection.add([{id: 1}, {id: 2}]);
+
+        assert.equal(collection.length, 2);
+      });
+    });
+
+    describe('set', () => {
+      let model1;
+      let model2;
+      let handlers;
+
+      beforeEach(() => {
+        model1 = new Model({id: 1, a: 1});
+        model2 = new Model({id: 2, a: 2});
+        collection.add([model1, model2]);
+
+        handlers = {};
+
+        for (let name of ['add', 'remove', 'update', 'change']) {
+          handlers[name] = sandbox.stub();
+        }
+
+        collection.on('add', handlers.add);
+        collection.on('remove', handlers.remove);
+        collection.on('update', handlers.update);
+        model1.on('change:a', handlers.change);
+      });
+
+      it('merges attributes into models with a matching ID', () => {
+        collection.set([{id: 1, a: 3}, {id: 2}]);
+
+        assert.equal(collection.get(1), model1);
+        assert.equal(model1.get('a'), 3);
+        assert.equal(handlers.change.callCount, 1);
+        assert.ok(handlers.change.calledWithExactly(model1, 3, 1, {}));
+      });
+
+      it('adds models with new IDs', () => {
+        collection.set([{id: 1}, {id: 2}, {id: 3}]);
+
+        assert.equal(collection.length, 3);
+        assert.equal(handlers.add.callCount, 1);
+        assert.ok(handlers.add.calledWithExactly(collection.get(3)));
+      });
+
+      it('removes models missing from the given models', () => {
+        collection.set([{id: 2}]);
+
+        assert.equal(collection.length, 1);
+        assert.equal(collection.get(1), undefined);
+        assert.equal(model1.collection, undefined);
+        assert.ok(handlers.remove.calledWithExactly(model1));
+      });
+
+      it('keeps model instances which are already in the collection', () => {
+        collection.set([model1]);
+
+        assert.equal(collection.length, 1);
+        assert.equal(collection.at(0), model1);
+      });
+
+      it('does not merge when the merge option is false', () => {
+        collection.set([{id: 1, a: 3}, {id: 2}], {merge: false});
+
+        assert.equal(model1.get('a'), 1);
+        assert.equal(handlers.change.callCount, 0);
+      });
+
+      it('does not add when the add option is false', () => {
+        collection.set([{id: 1}, {id: 2}, {id: 3}], {add: false});
+
+        assert.equal(collection.length, 2);
+        assert.equal(handlers.add.callCount, 0);
+      });
+
+      it('does not remove when the remove option is false', () => {
+        collection.set([{id: 3}], {remove: false});
+
+        assert.equal(collection.length, 3);
+        assert.equal(handlers.remove.callCount, 0);
+      });
+
+      it('emits a single "update" with the added, merged and removed models', () => {
+        collection.set([{id: 1, a: 3}, {id: 3}]);
+
+        assert.equal(handlers.update.callCount, 1);
+
+        let changes = handlers.update.args[0][0];
+
+        assert.deepEqual(changes.added, [collection.get(3)]);
+        assert.deepEqual(changes.merged, [model1]);
+        assert.deepEqual(changes.removed, [model2]);
+      });
+
+      it('does not count models with unchanged attributes as merged', () => {
+        collection.set([{id: 1, a: 1}, {id: 2, a: 2}, {id: 3}]);
+
+        assert.deepEqual(handlers.update.args[0][0].merged, []);
+      });
+
+      it('does not emit "update" when nothing changed', () => {
+        collection.set([{id: 1, a: 1}, {id: 2}]);
+
+        assert.equal(handlers.update.callCount, 0);
+      });
+
+      it('does not emit "add", "remove" or "update" when the silent option is truthy', () => {
+        collection.set([{id: 3}], {silent: true});
+
+        assert.equal(handlers.add.callCount, 0);
+        assert.equal(handlers.remove.callCount, 0);
+        assert.equal(handlers.update.callCount, 0);
+      });
+
+      it('returns the instance for chaining', () => {
+        assert.equal(collection.set([]), collection);
+      });
+    });
+
+    describe('reset', () => {
+      let resetHandler;
+
+      beforeEach(() => {
+        collection.add([{id: 1}, {id: 2}]);
+
+        resetHandler = sandbox.stub();
+        collection.on('reset', resetHandler);
+      });
+
+      it('replaces the models in the collection', () => {
+        let oldModel = collection.get(1);
+
+        collection.reset([{id: 3}]);
+
+        assert.equal(collection.length, 1);
+        assert.equal(collection.at(0).id, 3);
+        assert.equal(oldModel.collection, undefined);
+      });
+
+      it('empties the collection when called with no models', () => {
+        collection.reset();
+
+        assert.equal(collection.length, 0);
+      });
+
+      it('emits "reset" when the silent option is falsy', () => {
+        collection.reset([]);
+
+        assert.equal(resetHandler.callCount, 1);
+        assert.ok(resetHandler.calledWithExactly());
+      });
+
+      it('does not emit "reset" when the silent option is truthy', () => {
+        collection.reset([], {silent: true});
+
+        assert.equal(resetHandler.callCount, 0);
+      });
+
+      it('does not emit "add" or "remove"', () => {
+        let handler = sandbox.stub();
+
+        collection.on('add', handler);
+        collection.on('remove', handler);
+        collection.reset([{id: 3}]);
+
+        assert.equal(handler.callCount, 0);
+      });
+
+      it('returns the instance for chaining', () => {
+        assert.equal(collection.reset([]), collection);
+      });
+    });
+
+    describe('comparator', () => {
+      let sortHandler;
+
+      beforeEach(() => {
+        sortHandler = sandbox.stub();
+      });
+
+      describe('as an attribute name', () => {
+        beforeEach(() => {
+          collection = new Collection([{id: 1, score: 30}, {id: 2, score: 10}], {comparator: 'score'});
+          collection.on('sort', sortHandler);
+        });
+
+        it('orders models passed to the constructor', () => {
+          assert.deepEqual(ids(collection), [2, 1]);
+        });
+
+        it('inserts added models in order', () => {
+          collection.add([{id: 3, score: 20}, {id: 4, score: 0}]);
+
+          assert.deepEqual(ids(collection), [4, 2, 3, 1]);
+        });
+
+        it('inserts added models after models which compare equally', () => {
+          collection.add({id: 3, score: 10});
+
+          assert.deepEqual(ids(collection), [2, 3, 1]);
+        });
+
+        it('emits "sort" when models are added', () => {
+          collection.add({id: 3, score: 20});
+
+          assert.equal(sortHandler.callCount, 1);
+        });
+
+        it('repositions a model when the attribute changes', () => {
+          collection.add({id: 3, score: 20});
+          collection.get(2).set('score', 40);
+
+          assert.deepEqual(ids(collection), [3, 1, 2]);
+        });
+
+        it('emits "sort" when a model is repositioned', () => {
+          collection.get(2).set('score', 40);
+
+          assert.equal(sortHandler.callCount, 1);
+        });
+
+        it('does not emit "sort" when a changed model is still in order', () => {
+          collection.get(2).set('score', 20);
+
+          assert.equal(sortHandler.callCount, 0);
+        });
+
+        it('repositions before re-emitting the change', () => {
+          collection.on('change:score', () => assert.deepEqual(ids(collection), [1, 2]));
+          collection.get(2).set('score', 40);
+        });
+      });
+
+      describe('as a key function', () => {
+        beforeEach(() => {
+          collection = new Collection([{id: 1, name: 'b'}, {id: 2, name: 'c'}], {
+            comparator: model => model.get('name')
+          });
+        });
+
+        it('orders models by the returned key', () => {
+          collection.add({id: 3, name: 'a'});
+
+          assert.deepEqual(ids(collection), [3, 1, 2]);
+        });
+
+        it('repositions a model when any attribute changes', () => {
+          collection.get(1).set('name', 'd');
+
+          assert.deepEqual(ids(collection), [2, 1]);
+        });
+      });
+
+      describe('as a compare function', () => {
+        beforeEach(() => {
+          collection = new Collection([{id: 1}, {id: 2}], {
+            comparator: (a, b) => b.id - a.id
+          });
+        });
+
+        it('orders models with the function', () => {
+          collection.add({id: 3});
+
+          assert.deepEqual(ids(collection), [3, 2, 1]);
+        });
+      });
+
+      describe('as a method of a subclass', () => {
+        it('orders models with the method', () => {
+          collection = new class extends Collection {
+            comparator(a, b) {
+              return b.get('n') - a.get('n');
+            }
+          }([{n: 1}, {n: 3}, {n: 2}]);
+
+          assert.deepEqual([...collection].map(model => model.get('n')), [3, 2, 1]);
+        });
+      });
+
+      describe('sort', () => {
+        it('throws when there is no comparator', () => {
+          assert.throws(
+            () => collection.sort(),
+            err => err instanceof Error,
+            'Cannot sort a collection without a comparator.'
+          );
+        });
+
+        it('sorts the collection with the comparator', () => {
+          collection.add([{id: 2}, {id: 1}]);
+          collection.comparator = 'id';
+          collection.sort();
+
+          assert.deepEqual(ids(collection), [1, 2]);
+        });
+
+        it('emits "sort" when the silent option is falsy', () => {
+          collection.comparator = 'id';
+          collection.on('sort', sortHandler);
+          collection.sort();
+
+          assert.equal(sortHandler.callCount, 1);
+        });
+
+        it('does not emit "sort" when the silent option is truthy', () => {
+          collection.comparator = 'id';
+          collection.on('sort', sortHandler);
+          collection.sort({silent: true});
+
+          assert.equal(sortHandler.callCount, 0);
+        });
+
+        it('returns the instance for chaining', () => {
+          collection.comparator = 'id';
+
+          assert.equal(collection.sort(), collection);
+        });
+      });
+    });
+
+    describe('queries', () => {
+      beforeEach(() => {
+        collection.add([
+          {id: 1, status: 'open', owner: 'a'},
+          {id: 2, status: 'closed', owner: 'b'},
+          {id: 3, status: 'open', owner: 'b'}
+        ]);
+      });
+
+      describe('filter', () => {
+        it('returns the models for which the predicate is truthy', () => {
+          assert.deepEqual(ids(collection.filter(model => model.id > 1)), [2, 3]);
+        });
+
+        it('passes the model and its index to the predicate', () => {
+          let predicate = sandbox.stub();
+
+          collection.filter(predicate);
+
+          assert.ok(predicate.calledWithExactly(collection.at(1), 1));
+        });
+      });
+
+      describe('find', () => {
+        it('returns the first model for which the predicate is truthy', () => {
+          assert.equal(collection.find(model => model.get('owner') === 'b').id, 2);
+        });
+
+        it('returns undefined when no model matches', () => {
+          assert.equal(collection.find(() => false), undefined);
+        });
+      });
+
+      describe('where', () => {
+        it('returns the models with all the given attributes', () => {
+          assert.deepEqual(ids(collection.where({status: 'open'})), [1, 3]);
+          assert.deepEqual(ids(collection.where({status: 'open', owner: 'b'})), [3]);
+        });
+
+        it('returns an empty array when no model matches', () => {
+          assert.deepEqual(collection.where({status: 'pending'}), []);
+        });
+      });
+
+      describe('findWhere', () => {
+        it('returns the first model with all the given attributes', () => {
+          assert.equal(collection.findWhere({owner: 'b'}).id, 2);
+        });
+
+        it('returns undefined when no model matches', () => {
+          assert.equal(collection.findWhere({owner: 'c'}), undefined);
+        });
+      });
+
+      describe('pluck', () => {
+        it('returns the value of an attribute for each model', () => {
+          assert.deepEqual(collection.pluck('owner'), ['a', 'b', 'b']);
+        });
+      });
+
+      describe('groupBy', () => {
+        it('groups models by an attribute', () => {
+          let groups = collection.groupBy('status');
+
+          assert.deepEqual([...groups.keys()], ['open', 'closed']);
+          assert.deepEqual(ids(groups.get('open')), [1, 3]);
+          assert.deepEqual(ids(groups.get('closed')), [2]);
+        });
+
+        it('groups models by the return value of a function', () => {
+          let groups = collection.groupBy(model => model.id % 2);
+
+          assert.deepEqual(ids(groups.get(1)), [1, 3]);
+        });
+      });
+
+      describe('indexBy', () => {
+        it('maps the value of an attribute to a model', () => {
+          let index = collection.indexBy('owner');
+
+          assert.equal(index.size, 2);
+          assert.equal(index.get('a').id, 1);
+          assert.equal(index.get('b').id, 3);
+        });
+
+        it('maps the return value of a function to a model', () => {
+          assert.equal(collection.indexBy(model => model.id * 2).get(4).id, 2);
+        });
+      });
+
+      describe('index', () => {
+        beforeEach(() => {
+          collection.index('status');
+        });
+
+        it('returns the instance for chaining', () => {
+          assert.equal(collection.index('owner'), collection);
+        });
+
+        it('is used to find models by the indexed attribute', () => {
+          let getSpy = sandbox.spy(Model.prototype, 'get');
+          let models = collection.where({status: 'closed'});
+
+          assert.equal(getSpy.callCount, 1);
+          assert.deepEqual(ids(models), [2]);
+        });
+
+        it('includes models added later', () => {
+          collection.add({id: 4, status: 'closed'});
+
+          assert.deepEqual(ids(collection.where({status: 'closed'})), [2, 4]);
+        });
+
+        it('excludes models removed later', () => {
+          collection.remove(2);
+
+          assert.deepEqual(collection.where({status: 'closed'}), []);
+        });
+
+        it('follows changes to the indexed attribute', () => {
+          collection.get(1).set('status', 'closed');
+
+          assert.deepEqual(ids(collection.where({status: 'open'})), [3]);
+          assert.deepEqual(ids(collection.where({status: 'closed'})), [1, 2]);
+        });
+
+        it('returns models in the order of a sorted collection', () => {
+          let sorted = new Collection([
+            {id: 1, status: 'open', score: 3},
+            {id: 2, status: 'open', score: 1},
+            {id: 3, status: 'open', score: 2}
+          ], {comparator: 'score'});
+          let unindexed = ids(sorted.where({status: 'open'}));
+
+          sorted.index('status');
+          sorted.get(1).set('score', 0);
+
+          assert.deepEqual(unindexed, [2, 3, 1]);
+          assert.deepEqual(ids(sorted.where({status: 'open'})), [1, 2, 3]);
+        });
+
+        it('follows silent changes to the indexed attribute', () => {
+          collection.get(1).set('status', 'closed', {silent: true});
+
+          assert.deepEqual(ids(collection.where({status: 'closed'})), [1, 2]);
+          assert.equal(collection.findWhere({status: 'open', owner: 'a'}), undefined);
+        });
+
+        it('follows changes to the indexed attribute inside a pending transaction', () => {
+          let model = collection.get(1);
+
+          model.transaction(() => {
+            model.set('status', 'closed');
+
+            assert.deepEqual(ids(collection.where({status: 'open'})), [3]);
+          });
+        });
+
+        it('follows attributes rolled back by a failed transaction', () => {
+          let model = collection.get(1);
+
+          assert.throws(() => model.transaction(() => {
+            model.set('status', 'closed');
+            throw new Error('Oh noes!');
+          }));
+
+          assert.deepEqual(ids(collection.where({status: 'open'})), [1, 3]);
+          assert.deepEqual(ids(collection.where({status: 'closed'})), [2]);
+        });
+
+        it('filters indexed candidates by the remaining attributes', () => {
+          assert.deepEqual(ids(collection.where({status: 'open', owner: 'a'})), [1]);
+          assert.equal(collection.findWhere({status: 'open', owner: 'b'}).id, 3);
+        });
+
+        it('is cleared by reset', () => {
+          collection.reset([{id: 5, status: 'open'}]);
+
+          assert.deepEqual(ids(collection.where({status: 'open'})), [5]);
+        });
+      });
+    });
+
+    describe('create', () => {
+      class TestModel extends Model {}
+
+      let handlers;
+
+      beforeEach(() => {
+        collection = new class extends Collection {
+          url() {
+            return '/a/b/c';
+          }
+        }([], {model: TestModel});
+
+        handlers = {add: sandbox.stub(), remove: sandbox.stub(), error: sandbox.stub()};
+        collection.on('add', handlers.add);
+        collection.on('remove', handlers.remove);
+        collection.on('error', handlers.error);
+      });
+
+      it('makes a post request with the collection URL', () => {
+        collection.create({a: 1});
+
+        assert.equal(fakeFetch.callCount, 1);
+        assert.equal(fakeFetch.args[0][0], '/a/b/c');
+        assert.equal(fakeFetch.args[0][1].method, 'post');
+      });
+
+      it('creates an instance of the model class belonging to the collection', () => {
+        collection.create({a: 1});
+
+        let model = collection.at(0);
+
+        assert.ok(model instanceof TestModel);
+        assert.equal(model.collection, collection);
+        assert.equal(model.get('a'), 1);
+      });
+
+      it('accepts a model instance', () => {
+        let model = new TestModel({a: 1});
+
+        collection.create(model);
+
+        assert.equal(collection.at(0), model);
+        assert.equal(model.collection, collection);
+      });
+
+      it('resolves to the model', () => {
+        let creating = collection.create({a: 1});
+
+        fetchDeferred.resolve({ok: true, status: 204});
+
+        return creating
+          .then(model => assert.equal(model, collection.at(0)));
+      });
+
+      describe('wait option is falsy', () => {
+        it('immediately adds the model', () => {
+          collection.create({a: 1});
+
+          assert.equal(collection.length, 1);
+          assert.equal(handlers.add.callCount, 1);
+        });
+
+        it('removes the model, emits "error" and rejects if the save fails', () => {
+          let creating = collection.create({a: 1});
+          let model = collection.at(0);
+
+          fetchDeferred.resolve({ok: false, status: 500});
+
+          return creating
+            .then(() => assert.fail('Expected a rejection.'), err => {
+              assert.equal(err.message, 'Unexpected response code from server: 500');
+              assert.equal(collection.length, 0);
+              assert.ok(handlers.remove.calledWithExactly(model));
+              assert.ok(handlers.error.calledWithExactly(err, model));
+            });
+        });
+
+        it('rejects promises from EventEmitter.once with the save error', () => {
+          let waiting = EventEmitter.once(collection, 'sync');
+
+          collection.create({a: 1}).catch(() => {});
+          fetchDeferred.resolve({ok: false, status: 500});
+
+          return waiting
+            .then(() => assert.fail('Expected a rejection.'), err => {
+              assert.ok(err instanceof Error);
+              assert.equal(err.message, 'Unexpected response code from server: 500');
+            });
+        });
+
+        it('rejects with the save error when there are no "error" handlers', () => {
+          collection.removeListener('error', handlers.error);
+
+          let creating = collection.create({a: 1});
+
+          fetchDeferred.resolve({ok: false, status: 500});
+
+          return creating
+            .then(() => assert.fail('Expected a rejection.'), err => {
+              assert.equal(err.message, 'Unexpected response code from server: 500');
+              assert.equal(collection.length, 0);
+            });
+        });
+      });
+
+      describe('wait option is truthy', () => {
+        it('does not immediately add the model', () => {
+          collection.create({a: 1}, {wait: true});
+
+          assert.equal(collection.length, 0);
+          assert.equal(fakeFetch.args[0][0], '/a/b/c');
+        });
+
+        it('adds the model after the server responds', () => {
+          let creating = collection.create({a: 1}, {wait: true});
+
+          fetchDeferred.resolve({ok: true, status: 204});
+
+          return creating
+            .then(model => {
+              assert.equal(collection.at(0), model);
+              assert.ok(handlers.add.calledWithExactly(model));
+            });
+        });
+
+        it('emits "error" and rejects without adding or removing if the save fails', () => {
+          let creating = collection.create({a: 1}, {wait: true});
+
+          fetchDeferred.resolve({ok: false, status: 500});
+
+          return creating
+            .then(() => assert.fail('Expected a rejection.'), err => {
+              assert.ok(err instanceof Error);
+              assert.equal(collection.length, 0);
+              assert.equal(handlers.add.callCount, 0);
+              assert.equal(handlers.remove.callCount, 0);
+              assert.equal(handlers.error.callCount, 1);
+            });
+        });
+      });
+    });
+
+    describe('subset', () => {
+      let subset;
+      let handlers;
+
+      beforeEach(() => {
+        collection.add([
+          {id: 1, status: 'open'},
+          {id: 2, status: 'closed'},
+          {id: 3, status: 'open'}
+        ]);
+
+        subset = collection.subset(model => model.get('status') === 'open');
+
+        handlers = {add: sandbox.stub(), remove: sandbox.stub()};
+        subset.on('add', handlers.add);
+        subset.on('remove', handlers.remove);
+      });
+
+      it('returns a collection of the matching models in order', () => {
+        assert.ok(subset instanceof Collection);
+        assert.deepEqual(ids(subset), [1, 3]);
+      });
+
+      it('does not change the collection of its models', () => {
+        assert.equal(subset.at(0).collection, collection);
+      });
+
+      it('adds matching models added to the parent in parent order', () => {
+        collection.add([{id: 4, status: 'open'}, {id: 5, status: 'closed'}]);
+
+        assert.deepEqual(ids(subset), [1, 3, 4]);
+        assert.equal(handlers.add.callCount, 1);
+        assert.ok(handlers.add.calledWithExactly(collection.get(4)));
+      });
+
+      it('removes models removed from the parent', () => {
+        let model = collection.get(1);
+
+        collection.remove(model);
+
+        assert.deepEqual(ids(subset), [3]);
+        assert.ok(handlers.remove.calledWithExactly(model));
+      });
+
+      it('adds a model when it starts matching', () => {
+        collection.get(2).set('status', 'open');
+
+        assert.deepEqual(ids(subset), [1, 2, 3]);
+        assert.ok(handlers.add.calledWithExactly(collection.get(2)));
+      });
+
+      it('removes a model when it stops matching', () => {
+        collection.get(3).set('status', 'closed');
+
+        assert.deepEqual(ids(subset), [1]);
+        assert.ok(handlers.remove.calledWithExactly(collection.get(3)));
+      });
+
+      it('re-emits events of its models', () => {
+        let changeHandler = sandbox.stub();
+
+        subset.on('change:title', changeHandler);
+        collection.get(1).set('title', 'x');
+
+        assert.ok(changeHandler.calledWithExactly(collection.get(1), 'x', undefined, {}));
+      });
+
+      it('follows a reset of the parent', () => {
+        let resetHandler = sandbox.stub();
+
+        subset.on('reset', resetHandler);
+        collection.reset([{id: 6, status: 'open'}, {id: 7}]);
+
+        assert.deepEqual(ids(subset), [6]);
+        assert.equal(resetHandler.callCount, 1);
+      });
+
+      it('follows the order of a sorted parent', () => {
+        collection.comparator = model => -model.id;
+        collection.sort();
+
+        assert.deepEqual(ids(subset), [3, 1]);
+      });
+
+      it('can be sorted by its own comparator', () => {
+        subset = collection.subset(model => model.get('status') === 'open', {comparator: model => -model.id});
+
+        collection.add({id: 4, status: 'open'});
+
+        assert.deepEqual(ids(subset), [4, 3, 1]);
+      });
+
+      it('can be derived from another subset', () => {
+        let subSubset = subset.subset(model => model.id > 1);
+
+        collection.add({id: 4, status: 'open'});
+        collection.get(3).set('status', 'closed');
+
+        assert.deepEqual(ids(subSubset), [4]);
+      });
+
+      it('is read-only', () => {
+        let isReadOnlyError = err => err instanceof Error && err.message === 'Subsets are read-only.';
+
+        assert.throws(() => subset.add({id: 8}), isReadOnlyError);
+        assert.throws(() => subset.remove(1), isReadOnlyError);
+        assert.throws(() => subset.set([]), isReadOnlyError);
+        assert.throws(() => subset.reset(), isReadOnlyError);
+      });
+
+      describe('values', () => {
+        it('returns the models when there is no map option', () => {
+          assert.deepEqual(subset.values(), [...subset]);
+        });
+
+        it('returns the mapped models in order when there is a map option', () => {
+          subset = collection.subset(model => model.id > 1, {map: model => model.get('status')});
+
+          assert.deepEqual(subset.values(), ['closed', 'open']);
+        });
+
+        it('maps each model once until it changes', () => {
+          let map = sandbox.spy(model => model.get('status'));
+
+          subset = collection.subset(() => true, {map});
+
+          subset.values();
+          subset.values();
+
+          assert.equal(map.callCount, 3);
+
+          collection.get(2).set('status', 'open');
+
+          assert.deepEqual(subset.values(), ['open', 'open', 'open']);
+          assert.equal(map.callCount, 4);
+        });
+      });
+
+      describe('detach', () => {
+        it('stops the subset following the parent', () => {
+          subset.detach();
+          collection.add({id: 4, status: 'open'});
+          collection.get(2).set('status', 'open');
+
+          assert.deepEqual(ids(subset), [1, 3]);
+        });
+
+        it('returns the instance for chaining', () => {
+          assert.equal(subset.detach(), subset);
+        });
+      });
+    });
+
+    describe('url', () => {
+      it('throws if not overridden', () => {
+        assert.throws(
+          () => collection.url(),
+          err => err instanceof Error,
+          'To sync a collection, a url method must be defined.'
+        );
+      });
+    });
+
+    describe('fetch', () => {
+      class TestModel extends Model {}
+
+      beforeEach(() => {
+        collection = new class extends Collection {
+          url() {
+            return '/a/b/c';
+          }
+        }([{id: 1}], {model: TestModel});
+      });
+
+      it('makes a get request with the collection URL and same-origin credentials', () => {
+        collection.fetch();
+
+        assert.equal(fakeFetch.callCount, 1);
+        assert.equal(fakeFetch.args[0][0], '/a/b/c');
+        assert.deepEqual(fakeFetch.args[0][1], {method: 'get', credentials: 'same-origin'});
+      });
+
+      it('rejects if res.ok is falsy', done => {
+        fetchDeferred.resolve({ok: false, status: 123});
+
+        collection.fetch()
+          .catch(err => {
+            assert.ok(err instanceof Error);
+            assert.equal(err.message, 'Unexpected response code from server: 123');
+            done();
+          });
+      });
+
+      it('rejects if the response data is not an array', done => {
+        fetchDeferred.resolve({ok: true, text: jsonText({id: 1})});
+
+        collection.fetch()
+          .catch(err => {
+            assert.ok(err instanceof Error);
+            assert.equal(err.message, 'Expected an array from the server.');
+            done();
+          });
+      });
+
+      it('rejects if the response body is malformed', () => {
+        fetchDeferred.resolve({ok: true, status: 200, text: () => Promise.resolve('[{"id": ')});
+
+        return collection.fetch()
+          .then(() => assert.fail('Expected a rejection.'), err => assert.ok(err instanceof SyntaxError));
+      });
+
+      it('replaces the models with instances of the model class', () => {
+        fetchDeferred.resolve({ok: true, text: jsonText([{id: 2, a: 1}, {id: 3}])});
+
+        return collection.fetch()
+          .then(() => {
+            assert.equal(collection.length, 2);
+            assert.ok(collection.at(0) instanceof TestModel);
+            assert.equal(collection.at(0).collection, collection);
+            assert.equal(collection.get(2).get('a'), 1);
+            assert.equal(collection.get(1), undefined);
+          });
+      });
+
+      it('considers the fetched models to be unchanged', () => {
+        fetchDeferred.resolve({ok: true, text: jsonText([{id: 2, a: 1}])});
+
+        return collection.fetch()
+          .then(() => assert.strictEqual(collection.at(0).hasChanged(), false));
+      });
+
+      it('considers attributes merged into existing models to be unchanged', () => {
+        let model = collection.get(1);
+
+        model.set({a: 1, b: 1});
+        fetchDeferred.resolve({ok: true, text: jsonText([{id: 1, a: 2}])});
+
+        return collection.fetch()
+          .then(() => {
+            assert.equal(model.get('a'), 2);
+            assert.deepEqual(model.changedAttributes(), {b: 1});
+          });
+      });
+
+      it('does not send merged attributes back to the server on save', () => {
+        fetchDeferred.resolve({ok: true, text: jsonText([{id: 1, a: 2}])});
+
+        return collection.fetch()
+          .then(() => collection.save())
+          .then(report => {
+            assert.deepEqual(report, []);
+            assert.equal(fakeFetch.callCount, 1);
+          });
+      });
+
+      it('resolves to undefined', () => {
+        fetchDeferred.resolve({ok: true, text: jsonText([])});
+
+        return collection.fetch()
+          .then(result => assert.strictEqual(result, undefined));
+      });
+
+      it('merges returned models into existing models with the same ID', () => {
+        let model = collection.get(1);
+        let changeHandler = sandbox.stub();
+
+        model.on('change:a', changeHandler);
+        fetchDeferred.resolve({ok: true, text: jsonText([{id: 1, a: 2}])});
+
+        return collection.fetch()
+          .then(() => {
+            assert.equal(collection.get(1), model);
+            assert.equal(model.get('a'), 2);
+            assert.equal(changeHandler.callCount, 1);
+          });
+      });
+
+      it('passes the response data through parse before the models parse their records', () => {
+        sandbox.stub(TestModel.prototype, 'parse', response => ({id: response.id, a: response.value}));
+        collection.parse = sandbox.spy(response => response.items);
+
+        fetchDeferred.resolve({ok: true, text: jsonText({items: [{id: 1, value: 2}, {id: 3, value: 4}]})});
+
+        return collection.fetch()
+          .then(() => {
+            assert.equal(collection.parse.callCount, 1);
+            assert.deepEqual(collection.parse.args[0][0], {items: [{id: 1, value: 2}, {id: 3, value: 4}]});
+            assert.equal(collection.get(1).get('a'), 2);
+            assert.equal(collection.get(3).get('a'), 4);
+            assert.equal(collection.get(3).get('value'), undefined);
+          });
+      });
+
+      it('replaces existing models when the reset option is truthy', () => {
+        let model = collection.get(1);
+
+        fetchDeferred.resolve({ok: true, text: jsonText([{id: 1, a: 2}])});
+
+        return collection.fetch({reset: true})
+          .then(() => {
+            assert.notEqual(collection.get(1), model);
+            assert.equal(model.get('a'), undefined);
+          });
+      });
+
+      it('emits "update" and "sync" when the silent option is falsy', () => {
+        fetchDeferred.resolve({ok: true, text: jsonText([{id: 2}])});
+
+        let updateHandler = sandbox.stub();
+        let syncHandler = sandbox.stub();
+
+        collection.on('update', updateHandler);
+        collection.on('sync', syncHandler);
+
+        return collection.fetch()
+          .then(() => {
+            assert.equal(updateHandler.callCount, 1);
+            assert.equal(syncHandler.callCount, 1);
+            assert.ok(syncHandler.calledWithExactly());
+          });
+      });
+
+      it('emits "reset" and "sync" when the reset option is truthy', () => {
+        fetchDeferred.resolve({ok: true, text: jsonText([])});
+
+        let resetHandler = sandbox.stub();
+        let syncHandler = sandbox.stub();
+
+        collection.on('reset', resetHandler);
+        collection.on('sync', syncHandler);
+
+        return collection.fetch({reset: true})
+          .then(() => {
+            assert.equal(resetHandler.callCount, 1);
+            assert.equal(syncHandler.callCount, 1);
+          });
+      });
+
+      it('does not emit "update", "reset" or "sync" when the silent option is truthy', () => {
+        fetchDeferred.resolve({ok: true, text: jsonText([])});
+
+        let handler = sandbox.stub();
+
+        collection.on('update', handler);
+        collection.on('reset', handler);
+        collection.on('sync', handler);
+
+        return collection.fetch({silent: true})
+          .then(() => collection.fetch({silent: true, reset: true}))
+          .then(() => assert.equal(handler.callCount, 0));
+      });
+    });
+
+    describe('model events', () => {
+      let model;
+      let handler;
+
+      beforeEach(() => {
+        model = new Model({id: 1});
+        collection.add(model);
+
+        handler = sandbox.stub();
+      });
+
+      it('re-emits events of models in the collection with the model first', () => {
+        collection.on('change:a', handler);
+
+        model.set('a', 2);
+
+        assert.equal(handler.callCount, 1);
+        assert.ok(handler.calledWithExactly(model, 2, undefined, {}));
+      });
+
+      it('forgets the ID of a cleared model', () => {
+        model.clear();
+
+        assert.equal(collection.get(1), undefined);
+        assert.equal(collection.at(0), model);
+      });
+
+      it('emits a single bubbled "change" event when a model is set with a hash', () => {
+        collection.on('change', handler);
+
+        model.set({a: 1, b: 2});
+
+        assert.equal(handler.callCount, 1);
+      });
+
+      it('does not repeat the model when re-emitting change events', () => {
+        collection.on('change', handler);
+
+        model.set('a', 2);
+
+        assert.ok(handler.calledWithExactly(model, {a: {value: 2, previous: undefined}}));
+      });
+
+      it('re-emits custom events of models in the collection', () => {
+        collection.on('custom', handler);
+
+        model.emit('custom', 'x', 'y');
+
+        assert.ok(handler.calledWithExactly(model, 'x', 'y'));
+      });
+
+      it('does not re-emit "newListener" and "removeListener" events of models', () => {
+        collection.on('newListener', handler);
+        collection.on('removeListener', handler);
+        handler.reset();
+
+        let modelHandler = () => {};
+
+        model.on('test', modelHandler);
+        model.removeListener('test', modelHandler);
+
+        assert.equal(handler.callCount, 0);
+      });
+
+      it('re-emits events to every collection a model belongs to', () => {
+        let otherCollection = new Collection([model]);
+        let otherHandler = sandbox.stub();
+
+        collection.on('change', handler);
+        otherCollection.on('change', otherHandler);
+
+        model.set('a', 2);
+
+        assert.equal(handler.callCount, 1);
+        assert.equal(otherHandler.callCount, 1);
+      });
+
+      it('stops re-emitting events of models removed from the collection', () => {
+        collection.on('change', handler);
+        collection.remove(model);
+
+        model.set('a', 2);
+
+        assert.equal(handler.callCount, 0);
+      });
+
+      it('stops re-emitting events of models destroyed while in the collection', () => {
+        collection.url = () => '/a/b/c';
+        collection.on('change', handler);
+
+        model.destroy();
+        model.set('a', 2);
+
+        assert.equal(handler.callCount, 0);
+      });
+
+      it('does not throw "error" events which the model handles', () => {
+        let err = new Error('boom');
+
+        model.on('error', handler);
+
+        assert.doesNotThrow(() => model.emit('error', err));
+        assert.ok(handler.calledWithExactly(err));
+      });
+
+      it('re-emits "error" events with the error first, like create', () => {
+        let err = new Error('boom');
+
+        model.on('error', () => {});
+        collection.on('error', handler);
+        model.emit('error', err, 'extra');
+
+        assert.ok(handler.calledWithExactly(err, model, 'extra'));
+      });
+
+      it('handles "error" events for models without handlers of their own', () => {
+        let err = new Error('boom');
+
+        collection.on('error', handler);
+
+        assert.doesNotThrow(() => model.emit('error', err));
+        assert.ok(handler.calledWithExactly(err, model));
+      });
+
+      it('throws the original error when neither the model nor the collection handles it', () => {
+        let err = new Error('boom');
+
+        assert.throws(() => model.emit('error', err), error => error === err);
+      });
+
+      it('lets models isolate errors of their handlers', () => {
+        let err = new Error('boom');
+        let errorHandler = sandbox.stub();
+
+        model.isolateErrors();
+        model.on('error', errorHandler);
+        model.on('test', () => {
+          throw err;
+        });
+
+        assert.doesNotThrow(() => model.emit('test'));
+        assert.ok(errorHandler.calledWithExactly(err));
+      });
+
+      it('re-emits "destroy" of a model destroyed while in the collection', () => {
+        collection.on('destroy', handler);
+        collection.url = () => '/a/b/c';
+        fetchDeferred.resolve({ok: true});
+
+        return model.destroy()
+          .then(() => {
+            assert.equal(handler.callCount, 1);
+            assert.ok(handler.calledWithExactly(model));
+            assert.equal(collection.length, 0);
+          });
+      });
+
+      it('re-emits "destroy" of a model destroyed with the wait option', () => {
+        collection.on('destroy', handler);
+        collection.url = () => '/a/b/c';
+        fetchDeferred.resolve({ok: true});
+
+        return model.destroy({wait: true})
+          .then(() => {
+            assert.equal(handler.callCount, 1);
+            assert.ok(handler.calledWithExactly(model));
+            assert.equal(collection.length, 0);
+          });
+      });
+
+      it('re-emits "destroy" of a new model destroyed while in the collection', () => {
+        let newModel = new Model({a: 1});
+
+        collection.add(newModel);
+        collection.on('destroy', handler);
+
+        return newModel.destroy()
+          .then(() => {
+            assert.ok(handler.calledWithExactly(newModel));
+            assert.equal(collection.length, 1);
+          });
+      });
+
+      it('removes a destroyed model which belongs to another collection and re-emits "destroy"', () => {
+        let otherCollection = new Collection([model]);
+
+        otherCollection.on('destroy', handler);
+        collection.url = () => '/a/b/c';
+        fetchDeferred.resolve({ok: true});
+
+        return model.destroy()
+          .then(() => {
+            assert.equal(otherCollection.length, 0);
+            assert.ok(handler.calledWithExactly(model));
+          });
+      });
+    });
+
+    describe('"before:save" handlers', () => {
+      let model;
+
+      beforeEach(() => {
+        collection = new class extends Collection {
+          url() {
+            return '/a/b/c';
+          }
+        }([{id: 1, a: 1}]);
+
+        model = collection.get(1);
+      });
+
+      it('are called with the model and save options when a model in the collection is saved', () => {
+        let handler = sandbox.stub();
+        let options = {silent: true};
+
+        collection.on('before:save', handler);
+        fetchDeferred.resolve({ok: true, status: 204});
+
+        return model.save(options)
+          .then(() => {
+            assert.ok(handler.calledWithExactly(model, options));
+            assert.equal(fakeFetch.callCount, 1);
+          });
+      });
+
+      it('are called after the handlers of the model', () => {
+        let calls = [];
+
+        collection.on('before:save', () => calls.push('collection'));
+        model.on('before:save', () => calls.push('model'));
+        fetchDeferred.resolve({ok: true, status: 204});
+
+        return model.save()
+          .then(() => assert.deepEqual(calls, ['model', 'collection']));
+      });
+
+      it('can veto the save', () => {
+        collection.on('before:save', () => false);
+
+        return model.save()
+          .then(() => assert.fail('Expected a rejection.'), err => {
+            assert.equal(err.message, 'The save was vetoed by a "before:save" handler.');
+            assert.equal(fakeFetch.callCount, 0);
+          });
+      });
+
+      it('are not called when the model vetoes first', () => {
+        let handler = sandbox.stub();
+
+        model.on('before:save', () => false);
+        collection.on('before:save', handler);
+
+        return model.save()
+          .then(() => assert.fail('Expected a rejection.'), () => assert.equal(handler.callCount, 0));
+      });
+
+      it('are not called for models which have left the collection', () => {
+        let handler = sandbox.stub();
+
+        collection.on('before:save', handler);
+        collection.remove(model);
+        model.urlRoot = () => '/a/b/c';
+        fetchDeferred.resolve({ok: true, status: 204});
+
+        return model.save()
+          .then(() => assert.equal(handler.callCount, 0));
+      });
+    });
+
+    describe('save', () => {
+      let newModel;
+      let changedModel;
+      let removedModel;
+      let fetchDeferreds;
+
+      beforeEach(() => {
+        fetchDeferreds = [];
+        fakeFetch = sandbox.spy(() => {
+          let deferred = new Deferred();
+
+          fetchDeferreds.push(deferred);
+
+          return deferred.promise;
+        });
+        global.fetch = fakeFetch;
+
+        collection = new class extends Collection {
+          url() {
+            return '/a/b/c';
+          }
+        }([{id: 1, a: 1}, {id: 2, a: 2}, {id: 3, a: 3}]);
+
+        newModel = new Model({a: 4});
+        collection.add(newModel);
+
+        changedModel = collection.get(2);
+        changedModel.set('a', 5);
+
+        removedModel = collection.get(3);
+        collection.remove(removedModel);
+      });
+
+      function respondAll(response) {
+        for (let deferred of fetchDeferreds) {
+          deferred.resolve(response);
+        }
+      }
+
+      it('resolves to an empty report when there is nothing to save', () => {
+        collection = new Collection([{id: 1}]);
+
+        return collection.save()
+          .then(report => {
+            assert.deepEqual(report, []);
+            assert.equal(fakeFetch.callCount, 0);
+          });
+      });
+
+      it('saves new and changed models and deletes removed models', () => {
+        collection.save();
+
+        assert.equal(fakeFetch.callCount, 3);
+        assert.equal(fakeFetch.args[0][0], '/a/b/c/2');
+        assert.equal(fakeFetch.args[0][1].method, 'put');
+        assert.equal(fakeFetch.args[1][0], '/a/b/c');
+        assert.equal(fakeFetch.args[1][1].method, 'post');
+        assert.equal(fakeFetch.args[2][0], '/a/b/c/3');
+        assert.deepEqual(fakeFetch.args[2][1], {method: 'delete', credentials: 'same-origin'});
+      });
+
+      it('does not delete models which were destroyed', () => {
+        collection = new class extends Collection {
+          url() {
+            return '/a/b/c';
+          }
+        }([{id: 1}]);
+
+        collection.get(1).destroy();
+        collection.save();
+
+        assert.equal(fakeFetch.callCount, 1);
+      });
+
+      it('does not delete removed models which were added again', () => {
+        collection.add(removedModel);
+        collection.save();
+
+        assert.equal(fakeFetch.callCount, 2);
+      });
+
+      it('does not save models with a save in flight', () => {
+        collection = new class extends Collection {
+          url() {
+            return '/a/b/c';
+          }
+        }();
+
+        collection.create({a: 1});
+        collection.save();
+
+        assert.equal(fakeFetch.callCount, 1);
+      });
+
+      it('saves models again once their save has settled', () => {
+        let saving = newModel.save();
+
+        fetchDeferreds[0].resolve({ok: false, status: 500});
+
+        return saving
+          .catch(() => {
+            fakeFetch.reset();
+            collection.save();
+
+            assert.equal(fakeFetch.callCount, 3);
+          });
+      });
+
+      it('does not delete removed models which moved to another collection', () => {
+        let other = new Collection();
+
+        other.add(removedModel);
+        collection.save();
+
+        assert.equal(fakeFetch.callCount, 2);
+        assert.ok(fakeFetch.args.every(args => args[1].method !== 'delete'));
+      });
+
+      it('does not delete removed models which still belong to another collection', () => {
+        let other = new Collection();
+
+        other.add(changedModel);
+        collection.remove(changedModel);
+        collection.save();
+
+        assert.equal(fakeFetch.callCount, 2);
+        assert.ok(fakeFetch.args.every(args => args[0] !== '/a/b/c/2'));
+      });
+
+      it('limits the number of concurrent requests', () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+
+        global.fetch = () => {
+          inFlight++;
+          maxInFlight = Math.max(inFlight, maxInFlight);
+
+          return new Promise(resolve => setTimeout(resolve, 1))
+            .then(() => {
+              inFlight--;
+
+              return {ok: true, status: 204};
+            });
+        };
+
+        return collection.save({concurrency: 2})
+          .then(report => {
+            assert.equal(report.length, 3);
+            assert.equal(maxInFlight, 2);
+          });
+      });
+
+      it('rejects without making requests when the concurrency is less than 1', () => {
+        return collection.save({concurrency: 0})
+          .then(() => assert.fail('Expected a rejection.'), err => {
+            assert.equal(err.message, 'concurrency must be at least 1.');
+            assert.equal(fakeFetch.callCount, 0);
+          });
+      });
+
+      it('resolves with a report of the result for each model', () => {
+        let saving = collection.save();
+
+        fetchDeferreds[0].resolve({ok: false, status: 500});
+        fetchDeferreds[1].resolve({ok: true, status: 204});
+        fetchDeferreds[2].resolve({ok: true, status: 204});
+
+        return saving
+          .then(report => {
+            assert.equal(report.length, 3);
+            assert.equal(report[0].model, changedModel);
+            assert.equal(report[0].action, 'update');
+            assert.strictEqual(report[0].ok, false);
+            assert.equal(report[0].error.message, 'Unexpected response code from server: 500');
+            assert.deepEqual(report[1], {model: newModel, action: 'create', ok: true});
+            assert.deepEqual(report[2], {model: removedModel, action: 'delete', ok: true});
+          });
+      });
+
+      it('only deletes removed models once', () => {
+        let saving = collection.save();
+
+        respondAll({ok: true, status: 204});
+
+        return saving
+          .then(() => {
+            collection.save();
+
+            assert.equal(fakeFetch.callCount, 4);
+            assert.equal(fakeFetch.args[3][1].method, 'post');
+          });
+      });
+
+      it('deletes removed models again after a failure', () => {
+        let saving = collection.save();
+
+        respondAll({ok: false, status: 500});
+
+        return saving
+          .then(() => {
+            collection.save();
+
+            assert.equal(fakeFetch.callCount, 6);
+            assert.equal(fakeFetch.args[5][1].method, 'delete');
+          });
+      });
+
+      describe('batchUrl option', () => {
+        it('sends one post request with all changes to the batch URL', () => {
+          collection.save({batchUrl: '/a/b/c/batch'});
+
+          assert.equal(fakeFetch.callCount, 1);
+          assert.equal(fakeFetch.args[0][0], '/a/b/c/batch');
+          assert.equal(fakeFetch.args[0][1].method, 'post');
+          assert.deepEqual(JSON.parse(fakeFetch.args[0][1].body), {
+            create: [{a: 4}],
+            update: [{id: 2, a: 5}],
+            delete: [3]
+          });
+        });
+
+        it('merges created attributes from the response and considers models saved', () => {
+          let saving = collection.save({batchUrl: '/a/b/c/batch'});
+          let syncHandler = sandbox.stub();
+
+          newModel.on('sync', syncHandler);
+          fetchDeferreds[0].resolve({ok: true, text: jsonText({create: [{id: 4}]})});
+
+          return saving
+            .then(report => {
+              assert.deepEqual(report.map(result => result.ok), [true, true, true]);
+              assert.equal(newModel.id, 4);
+              assert.equal(collection.get(4), newModel);
+              assert.strictEqual(newModel.hasChanged(), false);
+              assert.strictEqual(changedModel.hasChanged(), false);
+              assert.equal(syncHandler.callCount, 1);
+
+              return collection.save({batchUrl: '/a/b/c/batch'});
+            })
+            .then(report => assert.deepEqual(report, []));
+        });
+
+        it('keeps changes made while the request is in flight', () => {
+          let saving = collection.save({batchUrl: '/a/b/c/batch'});
+
+          changedModel.set('a', 6);
+          fetchDeferreds[0].resolve({ok: true, status: 204});
+
+          return saving
+            .then(() => {
+              assert.deepEqual(changedModel.changedAttributes(), {a: 6});
+
+              collection.save({batchUrl: '/a/b/c/batch'});
+
+              assert.deepEqual(JSON.parse(fakeFetch.args[1][1].body).update, [{id: 2, a: 6}]);
+            });
+        });
+
+        it('does not send models which are in a pending batch again', () => {
+          collection.save({batchUrl: '/a/b/c/batch'});
+
+          return collection.save({batchUrl: '/a/b/c/batch'})
+            .then(report => {
+              assert.deepEqual(report, []);
+              assert.equal(fakeFetch.callCount, 1);
+            });
+        });
+
+        it('accepts a reply without a body', () => {
+          let saving = collection.save({batchUrl: '/a/b/c/batch'});
+
+          fetchDeferreds[0].resolve({ok: true, status: 204});
+
+          return saving
+            .then(report => {
+              assert.ok(report.every(result => result.ok));
+              assert.strictEqual(changedModel.hasChanged(), false);
+            });
+        });
+
+        it('leaves invalid models out of the request and reports them as failed', () => {
+          newModel.validate = attributes => attributes.a > 3 ? {a: 'Too big.'} : undefined;
+
+          let saving = collection.save({batchUrl: '/a/b/c/batch'});
+
+          assert.deepEqual(JSON.parse(fakeFetch.args[0][1].body).create, []);
+
+          fetchDeferreds[0].resolve({ok: true, text: jsonText({})});
+
+          return saving
+            .then(report => {
+              assert.deepEqual(report.map(result => result.ok), [true, false, true]);
+              assert.equal(report[1].model, newModel);
+              assert.equal(report[1].error.name, 'ValidationError');
+              assert.deepEqual(report[1].error.errors, {a: 'Too big.'});
+            });
+        });
+
+        it('reports every model as failed when the request fails', () => {
+          let saving = collection.save({batchUrl: '/a/b/c/batch'});
+
+          fetchDeferreds[0].resolve({ok: false, status: 500});
+
+          return saving
+            .then(report => {
+              assert.equal(report.length, 3);
+              assert.ok(report.every(result => !result.ok && result.error instanceof Error));
+            });
+        });
+      });
+    });
+
+    describe('paging', () => {
+      function createCollection(paging) {
+        return new class extends Collection {
+          url() {
+            return '/a/b/c';
+          }
+        }([], {paging});
+      }
+
+      function respond(data, link) {
+        fetchDeferred.resolve({ok: true, text: jsonText(data), headers: {get: () => link}});
+        fetchDeferred = new Deferred();
+        fakeFetch.returns(fetchDeferred.promise);
+      }
+
+      it('throws when paging is not enabled', () => {
+        assert.throws(
+          () => collection.fetchNextPage(),
+          err => err instanceof Error,
+          'Paging is not enabled for this collection.'
+        );
+      });
+
+      it('throws for an unknown strategy', () => {
+        assert.throws(
+          () => createCollection({strategy: 'unknown'}),
+          err => err instanceof Error,
+          'Unknown paging strategy: unknown'
+        );
+      });
+
+      describe('page strategy', () => {
+        beforeEach(() => {
+          collection = createCollection({strategy: 'page', perPage: 2});
+        });
+
+        it('fetches the first page with page and per_page parameters', () => {
+          collection.fetchNextPage();
+
+          assert.equal(fakeFetch.args[0][0], '/a/b/c?page=1&per_page=2');
+          assert.deepEqual(fakeFetch.args[0][1], {method: 'get', credentials: 'same-origin'});
+        });
+
+        it('uses configured parameter names', () => {
+          collection = createCollection({strategy: 'page', pageParam: 'p', perPageParam: 'n', perPage: 5});
+          collection.fetchNextPage();
+
+          assert.equal(fakeFetch.args[0][0], '/a/b/c?p=1&n=5');
+        });
+
+        it('fetches following pages and replaces the models by default', () => {
+          let fetching = collection.fetchNextPage();
+
+          respond([{id: 1}, {id: 2}]);
+
+          return fetching
+            .then(() => {
+              let next = collection.fetchNextPage();
+
+              respond([{id: 3}]);
+
+              return next;
+            })
+            .then(() => {
+              assert.equal(fakeFetch.args[1][0], '/a/b/c?page=2&per_page=2');
+              assert.deepEqual(ids(collection), [3]);
+            });
+        });
+
+        it('appends the models when the append option is truthy', () => {
+          collection = createCollection({strategy: 'page', perPage: 2, append: true});
+
+          let fetching = collection.fetchNextPage();
+
+          respond([{id: 1}, {id: 2}]);
+
+          return fetching
+            .then(() => {
+              let next = collection.fetchNextPage();
+
+              respond([{id: 3}]);
+
+              return next;
+            })
+            .then(() => assert.deepEqual(ids(collection), [1, 2, 3]));
+        });
+
+        it('has a next page until a page is not full', () => {
+          assert.strictEqual(collection.hasNextPage(), true);
+
+          let fetching = collection.fetchNextPage();
+
+          respond([{id: 1}, {id: 2}]);
+
+          return fetching
+            .then(() => {
+              assert.strictEqual(collection.hasNextPage(), true);
+
+              let next = collection.fetchNextPage();
+
+              respond([{id: 3}]);
+
+              return next;
+            })
+            .then(() => assert.strictEqual(collection.hasNextPage(), false));
+        });
+
+        it('rejects when there is no next page', () => {
+          let fetching = collection.fetchNextPage();
+
+          respond([]);
+
+          return fetching
+            .then(() => collection.fetchNextPage())
+            .then(() => assert.fail('Expected a rejection.'), err => {
+              assert.equal(err.message, 'There is no next page.');
+            });
+        });
+
+        it('fetches the previous page', () => {
+          let fetching = collection.fetchNextPage();
+
+          respond([{id: 1}, {id: 2}]);
+
+          return fetching
+            .then(() => {
+              assert.strictEqual(collection.hasPreviousPage(), false);
+
+              let next = collection.fetchNextPage();
+
+              respond([{id: 3}, {id: 4}]);
+
+              return next;
+            })
+            .then(() => {
+              assert.strictEqual(collection.hasPreviousPage(), true);
+
+              let previous = collection.fetchPreviousPage();
+
+              respond([{id: 1}, {id: 2}]);
+
+              return previous;
+            })
+            .then(() => {
+              assert.equal(fakeFetch.args[2][0], '/a/b/c?page=1&per_page=2');
+              assert.deepEqual(ids(collection), [1, 2]);
+            });
+        });
+
+        it('rejects if res.ok is falsy', () => {
+          let fetching = collection.fetchNextPage();
+
+          fetchDeferred.resolve({ok: false, status: 123});
+
+          return fetching
+            .then(() => assert.fail('Expected a rejection.'), err => {
+              assert.equal(err.message, 'Unexpected response code from server: 123');
+            });
+        });
+
+        it('emits "sync" after each page', () => {
+          let syncHandler = sandbox.stub();
+          let fetching = collection.fetchNextPage();
+
+          collection.on('sync', syncHandler);
+          respond([]);
+
+          return fetching
+            .then(() => assert.equal(syncHandler.callCount, 1));
+        });
+      });
+
+      describe('cursor strategy', () => {
+        beforeEach(() => {
+          collection = createCollection({strategy: 'cursor'});
+        });
+
+        it('fetches the first page without a cursor', () => {
+          collection.fetchNextPage();
+
+          assert.equal(fakeFetch.args[0][0], '/a/b/c');
+        });
+
+        it('takes records and cursors from the body', () => {
+          let fetching = collection.fetchNextPage();
+
+          respond({data: [{id: 1}], next: 'abc', previous: null});
+
+          return fetching
+            .then(() => {
+              assert.deepEqual(ids(collection), [1]);
+              assert.strictEqual(collection.hasNextPage(), true);
+              assert.strictEqual(collection.hasPreviousPage(), false);
+
+              let next = collection.fetchNextPage();
+
+              assert.equal(fakeFetch.args[1][0], '/a/b/c?cursor=abc');
+              respond({data: [{id: 2}], next: null, previous: 'xyz'});
+
+              return next;
+            })
+            .then(() => {
+              assert.deepEqual(ids(collection), [2]);
+              assert.strictEqual(collection.hasNextPage(), false);
+
+              collection.fetchPreviousPage();
+
+              assert.equal(fakeFetch.args[2][0], '/a/b/c?cursor=xyz');
+            });
+        });
+
+        it('uses configured keys or functions to find records and cursors', () => {
+          collection = createCollection({
+            strategy: 'cursor',
+            cursorParam: 'after',
+            records: 'items',
+            nextCursor: data => data.meta.end
+          });
+
+          let fetching = collection.fetchNextPage();
+
+          respond({items: [{id: 1}], meta: {end: 'e'}});
+
+          return fetching
+            .then(() => {
+              assert.deepEqual(ids(collection), [1]);
+
+              collection.fetchNextPage();
+
+              assert.equal(fakeFetch.args[1][0], '/a/b/c?after=e');
+            });
+        });
+      });
+
+      describe('link strategy', () => {
+        beforeEach(() => {
+          collection = createCollection({strategy: 'link'});
+        });
+
+        it('follows the next and prev links of the Link header', () => {
+          let fetching = collection.fetchNextPage();
+
+          assert.equal(fakeFetch.args[0][0], '/a/b/c');
+          respond([{id: 1}], '</a/b/c?page=2>; rel="next", </a/b/c?page=9>; rel="last"');
+
+          return fetching
+            .then(() => {
+              assert.deepEqual(ids(collection), [1]);
+              assert.strictEqual(collection.hasPreviousPage(), false);
+
+              let next = collection.fetchNextPage();
+
+              assert.equal(fakeFetch.args[1][0], '/a/b/c?page=2');
+              respond([{id: 2}], '</a/b/c?page=1>; rel="prev first"');
+
+              return next;
+            })
+            .then(() => {
+              assert.strictEqual(collection.hasNextPage(), false);
+              assert.strictEqual(collection.hasPreviousPage(), true);
+
+              collection.fetchPreviousPage();
+
+              assert.equal(fakeFetch.args[2][0], '/a/b/c?page=1');
+            });
+        });
+
+        it('finds rel among other link parameters', () => {
+          let fetching = collection.fetchNextPage();
+
+          respond([{id: 1}], '</a/b/c?page=9>; title="Last; or, final, page"; REL=last, ' +
+            '</a/b/c?page=2>; title="Next page"; rel="next"');
+
+          return fetching
+            .then(() => {
+              assert.strictEqual(collection.hasNextPage(), true);
+              collection.fetchNextPage();
+              assert.equal(fakeFetch.args[1][0], '/a/b/c?page=2');
+            });
+        });
+      });
+    });
+
+    describe('iteration', () => {
+      it('iterates over the models in order', () => {
+        collection.add([{id: 1}, {id: 2}, {id: 3}]);
+
+        assert.deepEqual([...collection].map(model => model.id), [1, 2, 3]);
+      });
+
+      it('is not affected by models removed during iteration', () => {
+        collection.add([{id: 1}, {id: 2}, {id: 3}]);
+
+        let ids = [];
+
+        for (let model of collection) {
+          collection.remove(model);
+          ids.push(model.id);
+        }
+
+        assert.deepEqual(ids, [1, 2, 3]);
+        assert.equal(collection.length, 0);
+      });
+    });
+  });
+});
@@ -1,7 +1,18 @@
-import {EventEmitter} from '../vertebrate.js';
+/* global AbortController */
+
+import {EventEmitter, batch} from '../vertebrate.js';
 import assert from 'assert';
 import sinon from 'sinon';
 
+class Deferred {
+  constructor() {
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+  }
+}
+
 describe('EventEmitter', () => {
   let sandbox = sinon.sandbox.create();
 
@@ -30,6 +41,302 @@ describe('EventEmitter', () => {
     });
   });
 
+  describe('once', () => {
+    let eventEmitter;
+
+    beforeEach(() => {
+      eventEmitter = new EventEmitter();
+    });
+
+    it('resolves with the arguments of the first matching event', () => {
+      let waiting = EventEmitter.once(eventEmitter, 'test');
+
+      eventEmitter.emit('test', 1, 2);
+      eventEmitter.emit('test', 3);
+
+      return waiting
+        .then(args => assert.deepEqual(args, [1, 2]));
+    });
+
+    it('removes its handlers once the event is emitted', () => {
+      let waiting = EventEmitter.once(eventEmitter, 'test');
+
+      eventEmitter.emit('test');
+
+      return waiting
+        .then(() => {
+          assert.strictEqual(eventEmitter.emit('test'), false);
+          assert.throws(() => eventEmitter.emit('error', new Error()));
+        });
+    });
+
+    it('rejects when an "error" event is emitted first', () => {
+      let err = new Error('Oh noes!');
+      let waiting = EventEmitter.once(eventEmitter, 'test');
+
+      eventEmitter.emit('error', err);
+
+      return waiting
+        .then(() => assert.fail('Expected a rejection.'), error => {
+          assert.equal(error, err);
+          assert.strictEqual(eventEmitter.emit('test'), false);
+        });
+    });
+
+    it('resolves with the error when waiting for an "error" event', () => {
+      let err = new Error('Oh noes!');
+      let waiting = EventEmitter.once(eventEmitter, 'error');
+
+      eventEmitter.emit('error', err);
+
+      return waiting
+        .then(args => assert.deepEqual(args, [err]));
+    });
+
+    it('rejects with an AbortError when the signal aborts', () => {
+      let controller = new AbortController();
+      let waiting = EventEmitter.once(eventEmitter, 'test', {signal: controller.signal});
+
+      controller.abort();
+
+      return waiting
+        .then(() => assert.fail('Expected a rejection.'), err => {
+          assert.equal(err.name, 'AbortError');
+          assert.strictEqual(eventEmitter.emit('test'), false);
+        });
+    });
+
+    it('rejects immediately when the signal is already aborted', () => {
+      let controller = new AbortController();
+
+      controller.abort();
+
+      return EventEmitter.once(eventEmitter, 'test', {signal: controller.signal})
+        .then(() => assert.fail('Expected a rejection.'), err => {
+          assert.equal(err.name, 'AbortError');
+          assert.strictEqual(eventEmitter.emit('test'), false);
+        });
+    });
+  });
+
+  describe('on', () => {
+    let eventEmitter;
+    let iterator;
+
+    beforeEach(() => {
+      eventEmitter = new EventEmitter();
+      iterator = EventEmitter.on(eventEmitter, 'test');
+    });
+
+    it('returns an async iterator', () => {
+      assert.equal(typeof iterator.next, 'function');
+      assert.equal(iterator[Symbol.asyncIterator](), iterator);
+    });
+
+    it('yields the arguments of events emitted before next is called', () => {
+      eventEmitter.emit('test', 1);
+      eventEmitter.emit('test', 2, 3);
+
+      return iterator.next()
+        .then(result => {
+          assert.deepEqual(result, {value: [1], done: false});
+
+          return iterator.next();
+        })
+        .then(result => assert.deepEqual(result, {value: [2, 3], done: false}));
+    });
+
+    it('yields the arguments of events emitted after next is called', () => {
+      let next = iterator.next();
+
+      eventEmitter.emit('test', 1);
+
+      return next
+        .then(result => assert.deepEqual(result, {value: [1], done: false}));
+    });
+
+    it('finishes and removes its handlers when return is called', () => {
+      let next = iterator.next();
+
+      return iterator.return()
+        .then(result => {
+          assert.deepEqual(result, {value: undefined, done: true});
+          assert.strictEqual(eventEmitter.emit('test'), false);
+
+          return next;
+        })
+        .then(result => assert.deepEqual(result, {value: undefined, done: true}));
+    });
+
+    it('rejects the next call and finishes when an "error" event is emitted', () => {
+      let err = new Error('Oh noes!');
+
+      eventEmitter.emit('test', 1);
+      eventEmitter.emit('error', err);
+
+      return iterator.next()
+        .then(result => {
+          assert.deepEqual(result.value, [1]);
+
+          return iterator.next();
+        })
+        .then(() => assert.fail('Expected a rejection.'), error => {
+          assert.equal(error, err);
+
+          return iterator.next();
+        })
+        .then(result => assert.strictEqual(result.done, true));
+    });
+
+    it('rejects with an AbortError when the signal aborts', () => {
+      let controller = new AbortController();
+
+      iterator.return();
+      iterator = EventEmitter.on(eventEmitter, 'test', {signal: controller.signal});
+
+      let next = iterator.next();
+
+      controller.abort();
+
+      return next
+        .then(() => assert.fail('Expected a rejection.'), err => {
+          assert.equal(err.name, 'AbortError');
+          assert.strictEqual(eventEmitter.emit('test'), false);
+        });
+    });
+  });
+
+  describe('batch', () => {
+    let first;
+    let second;
+    let handler;
+
+    beforeEach(() => {
+      first = new EventEmitter();
+      second = new EventEmitter();
+      handler = sandbox.stub();
+    });
+
+    it('returns the value returned by the function', () => {
+      assert.equal(batch(() => 'result'), 'result');
+    });
+
+    it('defers events of every emitter until the function returns', () => {
+      first.on('test', handler);
+      second.on('test', handler);
+
+      batch(() => {
+        first.emit('test', 1);
+        second.emit('test', 2);
+
+        assert.equal(handler.callCount, 0);
+      });
+
+      assert.equal(handler.callCount, 2);
+      assert.ok(handler.firstCall.calledWithExactly(1));
+      assert.ok(handler.secondCall.calledWithExactly(2));
+    });
+
+    it('returns whether there are handlers when emitting inside a batch', () => {
+      first.on('test', handler);
+
+      batch(() => {
+        assert.strictEqual(first.emit('test'), true);
+        assert.strictEqual(first.emit('other'), false);
+      });
+    });
+
+    it('keeps repeated events which are not change events', () => {
+      first.on('add', handler);
+
+      batch(() => {
+        first.emit('add', 1);
+        first.emit('add', 2);
+      });
+
+      assert.equal(handler.callCount, 2);
+    });
+
+    it('collapses repeated change events into one with the last arguments', () => {
+      let calls = [];
+
+      first.on('change*', (name, ...args) => calls.push([name, ...args]));
+
+      batch(() => {
+        first.emit('change', 1);
+        first.emit('change:a', 1);
+        first.emit('change', 2);
+        first.emit('change:b', 2);
+        first.emit('change:a', 3);
+      });
+
+      assert.deepEqual(calls, [['change', 2], ['change:a', 3], ['change:b', 2]]);
+    });
+
+    it('does not collapse change events of different emitters', () => {
+      first.on('change', handler);
+      second.on('change', handler);
+
+      batch(() => {
+        first.emit('change');
+        second.emit('change');
+      });
+
+      assert.equal(handler.callCount, 2);
+    });
+
+    it('waits for the outermost batch to finish', () => {
+      first.on('test', handler);
+
+      batch(() => {
+        batch(() => first.emit('test'));
+
+        assert.equal(handler.callCount, 0);
+      });
+
+      assert.equal(handler.callCount, 1);
+    });
+
+    it('does not defer "error" events', () => {
+      let err = new Error();
+
+      first.on('error', handler);
+
+      batch(() => {
+        first.emit('error', err);
+
+        assert.ok(handler.calledWithExactly(err));
+      });
+    });
+
+    it('emits deferred events and rethrows when the function throws', () => {
+      let err = new Error();
+
+      first.on('test', handler);
+
+      assert.throws(() => batch(() => {
+        first.emit('test');
+        throw err;
+      }), error => error === err);
+
+      assert.equal(handler.callCount, 1);
+    });
+
+    it('emits every deferred event before throwing an error thrown by a handler', () => {
+      let err = new Error();
+
+      first.on('test', sandbox.stub().throws(err));
+      second.on('test', handler);
+
+      assert.throws(() => batch(() => {
+        first.emit('test');
+        second.emit('test');
+      }), error => error === err);
+
+      assert.equal(handler.callCount, 1);
+    });
+  });
+
   describe('instance', () => {
     let eventEmitter;
     let testHandler;
@@ -153,6 +460,838 @@ describe('EventEmitter', () => {
       it('returns true when handlers were called', () => {
         assert.strictEqual(eventEmitter.emit('test'), true);
       });
+
+      it('throws the error argument when an "error" event has no handlers', () => {
+        let err = new Error('Oh noes!');
+
+        assert.throws(() => eventEmitter.emit('error', err), error => error === err);
+      });
+
+      it('throws a new error when an "error" event without an error argument has no handlers', () => {
+        assert.throws(() => eventEmitter.emit('error', 'oops'), error => error.message === 'Unhandled error.');
+      });
+
+      it('throws a new error when the first argument of an "error" event is not an error', () => {
+        assert.throws(() => eventEmitter.emit('error', {}, new Error('Oh noes!')), error => error.message === 'Unhandled error.');
+      });
+
+      it('does not throw when an "error" event has handlers', () => {
+        let err = new Error();
+
+        eventEmitter.on('error', testHandler);
+
+        assert.strictEqual(eventEmitter.emit('error', err), true);
+        assert.ok(testHandler.calledWithExactly(err));
+      });
+
+      it('stops calling handlers when a handler throws', () => {
+        let anotherHandler = sandbox.stub();
+
+        testHandler.throws(new Error());
+        eventEmitter.on('test', anotherHandler);
+
+        assert.throws(() => eventEmitter.emit('test'));
+        assert.equal(anotherHandler.callCount, 0);
+      });
+    });
+
+    describe('emitAsync', () => {
+      it('rejects if the name is undefined', () => {
+        return eventEmitter.emitAsync()
+          .then(() => assert.fail('Expected a rejection.'), err => {
+            assert.equal(err.message, 'The name cannot be undefined.');
+          });
+      });
+
+      it('resolves to true when there are no handlers', () => {
+        return eventEmitter.emitAsync('test')
+          .then(result => assert.strictEqual(result, true));
+      });
+
+      it('calls handlers and pattern handlers with the arguments', () => {
+        let patternHandler = sandbox.stub();
+
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on('te*', patternHandler);
+
+        return eventEmitter.emitAsync('test', 1, 2)
+          .then(result => {
+            assert.strictEqual(result, true);
+            assert.ok(testHandler.calledWithExactly(1, 2));
+            assert.ok(patternHandler.calledWithExactly('test', 1, 2));
+          });
+      });
+
+      it('waits for promises returned by handlers', () => {
+        let deferred = new Deferred();
+        let resolved = false;
+
+        eventEmitter.on('test', () => deferred.promise);
+
+        let emitting = eventEmitter.emitAsync('test')
+          .then(() => assert.ok(resolved));
+
+        setTimeout(() => {
+          resolved = true;
+          deferred.resolve();
+        }, 10);
+
+        return emitting;
+      });
+
+      it('resolves to false when a handler returns false', () => {
+        eventEmitter.on('test', () => false);
+
+        return eventEmitter.emitAsync('test')
+          .then(result => assert.strictEqual(result, false));
+      });
+
+      it('resolves to false when a handler resolves to false', () => {
+        eventEmitter.on('test', () => Promise.resolve(false));
+
+        return eventEmitter.emitAsync('test')
+          .then(result => assert.strictEqual(result, false));
+      });
+
+      describe('in parallel mode', () => {
+        it('calls every handler without waiting for earlier handlers', () => {
+          let deferred = new Deferred();
+
+          eventEmitter.on('test', () => deferred.promise);
+          eventEmitter.on('test', testHandler);
+
+          let emitting = eventEmitter.emitAsync('test');
+
+          assert.equal(testHandler.callCount, 1);
+
+          deferred.resolve();
+
+          return emitting;
+        });
+
+        it('rejects with every error once all handlers have settled', () => {
+          let first = new Error('first');
+          let second = new Error('second');
+
+          eventEmitter.on('test', () => Promise.reject(first));
+          eventEmitter.on('test', testHandler);
+          eventEmitter.on('test', () => {
+            throw second;
+          });
+
+          return eventEmitter.emitAsync('test')
+            .then(() => assert.fail('Expected a rejection.'), err => {
+              assert.ok(err instanceof Error);
+              assert.equal(err.name, 'AggregateError');
+              assert.equal(err.message, 'One or more handlers failed.');
+              assert.deepEqual(err.errors, [first, second]);
+              assert.equal(testHandler.callCount, 1);
+            });
+        });
+
+        it('does not need a global AggregateError', () => {
+          let GlobalAggregateError = global.AggregateError;
+          let err = new Error('Oh noes!');
+
+          delete global.AggregateError;
+          eventEmitter.on('test', () => Promise.reject(err));
+
+          return eventEmitter.emitAsync('test')
+            .then(() => null, error => error)
+            .then(error => {
+              global.AggregateError = GlobalAggregateError;
+              assert.deepEqual(error && error.errors, [err]);
+            });
+        });
+      });
+
+      describe('in serial mode', () => {
+        beforeEach(() => {
+          eventEmitter.setAsyncMode('serial');
+        });
+
+        it('waits for each handler before calling the next', () => {
+          let deferred = new Deferred();
+
+          eventEmitter.on('test', () => deferred.promise);
+          eventEmitter.on('test', testHandler);
+
+          let emitting = eventEmitter.emitAsync('test');
+
+          assert.equal(testHandler.callCount, 0);
+
+          deferred.resolve();
+
+          return emitting
+            .then(() => assert.equal(testHandler.callCount, 1));
+        });
+
+        it('stops calling handlers after a veto', () => {
+          eventEmitter.on('test', () => false);
+          eventEmitter.on('test', testHandler);
+
+          return eventEmitter.emitAsync('test')
+            .then(result => {
+              assert.strictEqual(result, false);
+              assert.equal(testHandler.callCount, 0);
+            });
+        });
+
+        it('stops calling handlers after a failure', () => {
+          let err = new Error();
+
+          eventEmitter.on('test', () => Promise.reject(err));
+          eventEmitter.on('test', testHandler);
+
+          return eventEmitter.emitAsync('test')
+            .then(() => assert.fail('Expected a rejection.'), error => {
+              assert.ok(error instanceof Error);
+              assert.equal(error.name, 'AggregateError');
+              assert.deepEqual(error.errors, [err]);
+              assert.equal(testHandler.callCount, 0);
+            });
+        });
+      });
+    });
+
+    describe('setAsyncMode', () => {
+      it('returns the emitter', () => {
+        assert.equal(eventEmitter.setAsyncMode('parallel'), eventEmitter);
+      });
+
+      it('throws for unknown modes', () => {
+        assert.throws(() => eventEmitter.setAsyncMode('sideways'), err => err.message === 'Unknown async mode: sideways');
+      });
+    });
+
+    describe('isolateErrors', () => {
+      let err;
+      let anotherHandler;
+
+      beforeEach(() => {
+        err = new Error('Oh noes!');
+        anotherHandler = sandbox.stub();
+        testHandler.throws(err);
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on('test', anotherHandler);
+      });
+
+      it('returns the emitter', () => {
+        assert.equal(eventEmitter.isolateErrors(), eventEmitter);
+      });
+
+      it('calls later handlers when a handler throws', () => {
+        let errorHandler = sandbox.stub();
+
+        eventEmitter.on('error', errorHandler);
+        eventEmitter.isolateErrors();
+
+        assert.strictEqual(eventEmitter.emit('test', 1), true);
+        assert.ok(anotherHandler.calledWithExactly(1));
+      });
+
+      it('emits thrown errors as "error" events', () => {
+        let errorHandler = sandbox.stub();
+
+        eventEmitter.on('error', errorHandler);
+        eventEmitter.isolateErrors();
+        eventEmitter.emit('test');
+
+        assert.equal(errorHandler.callCount, 1);
+        assert.ok(errorHandler.calledWithExactly(err));
+      });
+
+      it('reports thrown errors to a hook instead when one is given', () => {
+        let hook = sandbox.stub();
+        let errorHandler = sandbox.stub();
+
+        eventEmitter.on('error', errorHandler);
+        eventEmitter.isolateErrors(hook);
+        eventEmitter.emit('test', 1);
+
+        assert.equal(errorHandler.callCount, 0);
+        assert.equal(hook.callCount, 1);
+        assert.ok(hook.calledWithExactly(err, 'test', testHandler));
+      });
+
+      it('throws unhandled errors after calling every handler', () => {
+        eventEmitter.isolateErrors();
+
+        assert.throws(() => eventEmitter.emit('test'), error => error === err);
+        assert.equal(anotherHandler.callCount, 1);
+      });
+
+      it('does not isolate errors thrown by "error" handlers', () => {
+        let errorHandler = sandbox.stub().throws(new Error('Again!'));
+
+        eventEmitter.on('error', errorHandler);
+        eventEmitter.on('error', anotherHandler);
+        eventEmitter.isolateErrors();
+
+        assert.throws(() => eventEmitter.emit('error', err), error => error.message === 'Again!');
+        assert.equal(anotherHandler.callCount, 0);
+      });
+
+      it('is turned off again when called with false', () => {
+        eventEmitter.isolateErrors().isolateErrors(false);
+
+        assert.throws(() => eventEmitter.emit('test'), error => error === err);
+        assert.equal(anotherHandler.callCount, 0);
+      });
+    });
+
+    describe('catch-all and pattern listeners', () => {
+      it('calls "*" listeners with the name and arguments of every event', () => {
+        eventEmitter.on('*', testHandler);
+
+        assert.ok(testHandler.calledWithExactly('newListener', '*', testHandler));
+
+        testHandler.reset();
+        eventEmitter.emit('a', 1, 2);
+        eventEmitter.emit('b');
+
+        assert.equal(testHandler.callCount, 2);
+        assert.ok(testHandler.firstCall.calledWithExactly('a', 1, 2));
+        assert.ok(testHandler.secondCall.calledWithExactly('b'));
+      });
+
+      it('treats "all" as an alias of "*"', () => {
+        let name = {};
+
+        eventEmitter.on('all', testHandler);
+        eventEmitter.emit(name, 1);
+
+        assert.ok(testHandler.calledWithExactly(name, 1));
+      });
+
+      it('calls pattern listeners for matching event names', () => {
+        eventEmitter.on('change:*', testHandler);
+        eventEmitter.emit('change:a', 1);
+        eventEmitter.emit('change:b', 2);
+        eventEmitter.emit('change', 3);
+        eventEmitter.emit('sync');
+
+        assert.equal(testHandler.callCount, 2);
+        assert.ok(testHandler.firstCall.calledWithExactly('change:a', 1));
+        assert.ok(testHandler.secondCall.calledWithExactly('change:b', 2));
+      });
+
+      it('does not match pattern listeners against non-string names', () => {
+        eventEmitter.on('*:*', testHandler);
+        eventEmitter.emit({});
+
+        assert.equal(testHandler.callCount, 0);
+      });
+
+      it('treats regular expression characters in patterns literally', () => {
+        eventEmitter.on('a+(*)', testHandler);
+        eventEmitter.emit('aa(x)');
+        eventEmitter.emit('a+(x)');
+
+        assert.equal(testHandler.callCount, 1);
+      });
+
+      it('calls exact listeners before pattern listeners', () => {
+        let patternHandler = sandbox.stub();
+
+        eventEmitter.on('*', patternHandler);
+        eventEmitter.on('test', testHandler);
+        eventEmitter.emit('test');
+
+        assert.ok(testHandler.calledBefore(patternHandler));
+      });
+
+      it('returns true when only pattern listeners were called', () => {
+        eventEmitter.on('*', testHandler);
+
+        assert.strictEqual(eventEmitter.emit('test'), true);
+      });
+
+      it('stops calling pattern listeners once removed', () => {
+        eventEmitter.on('change:*', testHandler);
+        eventEmitter.removeListener('change:*', testHandler);
+        eventEmitter.emit('change:a');
+
+        assert.equal(testHandler.callCount, 0);
+      });
+    });
+
+    describe('namespaced listeners', () => {
+      let otherHandler;
+
+      beforeEach(() => {
+        otherHandler = sandbox.stub();
+
+        eventEmitter.on('change.widget', testHandler);
+        eventEmitter.on('sync.widget', testHandler);
+        eventEmitter.on('change', otherHandler);
+      });
+
+      it('are called for the event name before the namespace', () => {
+        eventEmitter.emit('change', 1);
+
+        assert.ok(testHandler.calledWithExactly(1));
+        assert.ok(otherHandler.calledWithExactly(1));
+      });
+
+      it('emit "newListener" with the event name without the namespace', () => {
+        let newListenerHandler = sandbox.stub();
+
+        eventEmitter.on('newListener', newListenerHandler);
+        eventEmitter.on('test.widget', testHandler);
+
+        assert.ok(newListenerHandler.calledWithExactly('test', testHandler));
+      });
+
+      it('throws when only a namespace is given', () => {
+        assert.throws(
+          () => eventEmitter.on('.widget', testHandler),
+          err => err instanceof Error,
+          'The name cannot be undefined.'
+        );
+      });
+
+      it('can all be removed with removeAllListeners and the namespace', () => {
+        eventEmitter.removeAllListeners('.widget');
+        eventEmitter.emit('change');
+        eventEmitter.emit('sync');
+
+        assert.equal(testHandler.callCount, 0);
+        assert.equal(otherHandler.callCount, 1);
+      });
+
+      it('can be removed for one event name with removeAllListeners', () => {
+        eventEmitter.removeAllListeners('change.widget');
+        eventEmitter.emit('change');
+        eventEmitter.emit('sync');
+
+        assert.equal(testHandler.callCount, 1);
+        assert.equal(otherHandler.callCount, 1);
+      });
+
+      it('emit "removeListener" for each handler removed by namespace', () => {
+        let removeListenerHandler = sandbox.stub();
+
+        eventEmitter.on('removeListener', removeListenerHandler);
+        eventEmitter.removeAllListeners('.widget');
+
+        assert.equal(removeListenerHandler.callCount, 2);
+        assert.ok(removeListenerHandler.calledWithExactly('change', testHandler));
+        assert.ok(removeListenerHandler.calledWithExactly('sync', testHandler));
+      });
+
+      it('are no longer in the namespace once removed with removeListener', () => {
+        eventEmitter.removeListener('change', testHandler);
+        eventEmitter.on('change', testHandler);
+        eventEmitter.removeAllListeners('.widget');
+        eventEmitter.emit('change');
+
+        assert.equal(testHandler.callCount, 1);
+      });
+    });
+
+    describe('listener options', () => {
+      let calls;
+
+      function recorder(label) {
+        return () => calls.push(label);
+      }
+
+      beforeEach(() => {
+        calls = [];
+      });
+
+      it('calls handlers with a higher priority first', () => {
+        eventEmitter.on('test', recorder('a'));
+        eventEmitter.on('test', recorder('b'), {priority: 10});
+        eventEmitter.on('test', recorder('c'), {priority: -1});
+        eventEmitter.on('test', recorder('d'), {priority: 10});
+        eventEmitter.on('test', recorder('e'));
+        eventEmitter.emit('test');
+
+        assert.deepEqual(calls, ['b', 'd', 'a', 'e', 'c']);
+      });
+
+      it('calls prepended handlers before others of the same priority', () => {
+        eventEmitter.on('test', recorder('a'));
+        eventEmitter.on('test', recorder('b'), {priority: 1});
+        eventEmitter.on('test', recorder('c'), {prepend: true});
+        eventEmitter.on('test', recorder('d'), {priority: 1, prepend: true});
+        eventEmitter.emit('test');
+
+        assert.deepEqual(calls, ['d', 'b', 'c', 'a']);
+      });
+
+      it('does not move a handler which is added again', () => {
+        let handler = recorder('a');
+
+        eventEmitter.on('test', handler);
+        eventEmitter.on('test', recorder('b'));
+        eventEmitter.on('test', handler, {prepend: true});
+        eventEmitter.emit('test');
+
+        assert.deepEqual(calls, ['a', 'b']);
+      });
+
+      it('forgets the priority of a removed handler', () => {
+        let handler = recorder('a');
+
+        eventEmitter.on('test', handler, {priority: 1});
+        eventEmitter.removeListener('test', handler);
+        eventEmitter.on('test', recorder('b'));
+        eventEmitter.on('test', handler);
+        eventEmitter.emit('test');
+
+        assert.deepEqual(calls, ['b', 'a']);
+      });
+
+      it('removes the handler and emits "removeListener" when the signal aborts', () => {
+        let controller = new AbortController();
+        let removeListenerHandler = sandbox.stub();
+
+        eventEmitter.on('test', testHandler, {signal: controller.signal});
+        eventEmitter.on('removeListener', removeListenerHandler);
+
+        controller.abort();
+        eventEmitter.emit('test');
+
+        assert.equal(testHandler.callCount, 0);
+        assert.ok(removeListenerHandler.calledWithExactly('test', testHandler));
+      });
+
+      it('removes a namespaced handler when the signal aborts', () => {
+        let controller = new AbortController();
+
+        eventEmitter.on('test.ns', testHandler, {signal: controller.signal});
+
+        controller.abort();
+        eventEmitter.emit('test');
+
+        assert.equal(testHandler.callCount, 0);
+      });
+
+      it('does not add the handler when the signal is already aborted', () => {
+        let controller = new AbortController();
+        let newListenerHandler = sandbox.stub();
+
+        controller.abort();
+        eventEmitter.on('newListener', newListenerHandler);
+        eventEmitter.on('test', testHandler, {signal: controller.signal});
+        eventEmitter.emit('test');
+
+        assert.equal(testHandler.callCount, 0);
+        assert.ok(!newListenerHandler.calledWith('test'));
+      });
+
+      it('stops following the signal once the handler is removed', () => {
+        let controller = new AbortController();
+        let removeListenerHandler = sandbox.stub();
+
+        eventEmitter.on('test', testHandler, {signal: controller.signal});
+        eventEmitter.removeListener('test', testHandler);
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on('removeListener', removeListenerHandler);
+
+        controller.abort();
+        eventEmitter.emit('test');
+
+        assert.equal(testHandler.callCount, 1);
+        assert.equal(removeListenerHandler.callCount, 0);
+      });
+
+      it('are passed on by listenTo', () => {
+        let other = new EventEmitter();
+        let controller = new AbortController();
+
+        eventEmitter.listenTo(other, 'test', testHandler, {signal: controller.signal});
+
+        controller.abort();
+        other.emit('test');
+
+        assert.equal(testHandler.callCount, 0);
+      });
+    });
+
+    describe('listeners', () => {
+      it('returns an empty array for names without handlers', () => {
+        assert.deepEqual(eventEmitter.listeners('test'), []);
+      });
+
+      it('returns the handlers for a name in the order they are called', () => {
+        let another = sandbox.stub();
+
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on('test', another, {prepend: true});
+
+        assert.deepEqual(eventEmitter.listeners('test'), [another, testHandler]);
+      });
+
+      it('returns a copy', () => {
+        eventEmitter.on('test', testHandler);
+        eventEmitter.listeners('test').pop();
+
+        assert.deepEqual(eventEmitter.listeners('test'), [testHandler]);
+      });
+
+      it('returns only the handlers in a namespace when one is given', () => {
+        let another = sandbox.stub();
+
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on('test.ns', another);
+
+        assert.deepEqual(eventEmitter.listeners('test.ns'), [another]);
+        assert.deepEqual(eventEmitter.listeners('test.other'), []);
+      });
+    });
+
+    describe('listenerCount', () => {
+      it('counts the handlers for a name', () => {
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on('test.ns', sandbox.stub());
+        eventEmitter.on('other', sandbox.stub());
+
+        assert.equal(eventEmitter.listenerCount('test'), 2);
+        assert.equal(eventEmitter.listenerCount('test.ns'), 1);
+        assert.equal(eventEmitter.listenerCount('nothing'), 0);
+      });
+    });
+
+    describe('eventNames', () => {
+      it('returns the names with handlers', () => {
+        let name = {};
+
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on(name, testHandler);
+        eventEmitter.on('change:*', testHandler);
+        eventEmitter.on('gone', testHandler);
+        eventEmitter.removeListener('gone', testHandler);
+
+        assert.deepEqual(eventEmitter.eventNames(), ['test', name, 'change:*']);
+      });
+    });
+
+    describe('setMaxListeners', () => {
+      let warningHandler;
+
+      beforeEach(() => {
+        warningHandler = sandbox.stub();
+        eventEmitter.on('warning', warningHandler);
+      });
+
+      it('returns the emitter', () => {
+        assert.equal(eventEmitter.setMaxListeners(1), eventEmitter);
+      });
+
+      it('throws when the maximum is not a non-negative number', () => {
+        assert.throws(() => eventEmitter.setMaxListeners(-1));
+        assert.throws(() => eventEmitter.setMaxListeners('1'));
+        assert.throws(() => eventEmitter.setMaxListeners(NaN));
+      });
+
+      it('is reflected by getMaxListeners', () => {
+        assert.equal(eventEmitter.getMaxListeners(), Infinity);
+        assert.equal(eventEmitter.setMaxListeners(3).getMaxListeners(), 3);
+        assert.equal(eventEmitter.setMaxListeners(0).getMaxListeners(), Infinity);
+      });
+
+      it('emits a "warning" event when a name has more handlers than the maximum', () => {
+        eventEmitter.setMaxListeners(1);
+        eventEmitter.on('test', sandbox.stub());
+
+        assert.equal(warningHandler.callCount, 0);
+
+        eventEmitter.on('test', sandbox.stub());
+
+        assert.equal(warningHandler.callCount, 1);
+
+        let warning = warningHandler.args[0][0];
+
+        assert.ok(warning instanceof Error);
+        assert.equal(warning.name, 'MaxListenersExceededWarning');
+        assert.equal(warning.emitter, eventEmitter);
+        assert.equal(warning.eventName, 'test');
+        assert.equal(warning.count, 2);
+      });
+
+      it('warns only once for a name until it drops back to the maximum', () => {
+        let handler = sandbox.stub();
+
+        eventEmitter.setMaxListeners(1);
+        eventEmitter.on('test', sandbox.stub());
+        eventEmitter.on('test', handler);
+        eventEmitter.on('test', sandbox.stub());
+
+        assert.equal(warningHandler.callCount, 1);
+
+        eventEmitter.removeListener('test', handler);
+        eventEmitter.removeAllListeners('test');
+        eventEmitter.on('test', sandbox.stub());
+        eventEmitter.on('test', sandbox.stub());
+
+        assert.equal(warningHandler.callCount, 2);
+      });
+
+      it('passes warnings to a hook instead when one is given', () => {
+        let hook = sandbox.stub();
+
+        eventEmitter.setMaxListeners(1, hook);
+        eventEmitter.on('test', sandbox.stub());
+        eventEmitter.on('test', sandbox.stub());
+
+        assert.equal(warningHandler.callCount, 0);
+        assert.equal(hook.callCount, 1);
+        assert.equal(hook.args[0][0].eventName, 'test');
+      });
+
+      it('does not warn when adding a handler which is already registered', () => {
+        eventEmitter.setMaxListeners(1);
+        eventEmitter.on('test', testHandler);
+        eventEmitter.on('test', testHandler);
+
+        assert.equal(warningHandler.callCount, 0);
+      });
+    });
+
+    describe('listenTo', () => {
+      let other;
+
+      beforeEach(() => {
+        other = new EventEmitter();
+      });
+
+      it('adds the handler to the other emitter', () => {
+        eventEmitter.listenTo(other, 'test', testHandler);
+        other.emit('test', 1);
+
+        assert.ok(testHandler.calledWithExactly(1));
+      });
+
+      it('throws when the handler is not a function', () => {
+        assert.throws(
+          () => eventEmitter.listenTo(other, 'test'),
+          err => err instanceof Error,
+          'The handler must be a function.'
+        );
+      });
+
+      it('returns the instance for chaining', () => {
+        assert.equal(eventEmitter.listenTo(other, 'test', testHandler), eventEmitter);
+      });
+    });
+
+    describe('listenToOnce', () => {
+      let other;
+
+      beforeEach(() => {
+        other = new EventEmitter();
+        eventEmitter.listenToOnce(other, 'test', testHandler);
+      });
+
+      it('calls the handler for the first event only', () => {
+        other.emit('test', 1);
+        other.emit('test', 2);
+
+        assert.equal(testHandler.callCount, 1);
+        assert.ok(testHandler.calledWithExactly(1));
+      });
+
+      it('can be stopped before the event', () => {
+        eventEmitter.stopListening();
+        other.emit('test');
+
+        assert.equal(testHandler.callCount, 0);
+      });
+    });
+
+    describe('stopListening', () => {
+      let other1;
+      let other2;
+      let otherHandler;
+
+      beforeEach(() => {
+        other1 = new EventEmitter();
+        other2 = new EventEmitter();
+        otherHandler = sandbox.stub();
+
+        eventEmitter.listenTo(other1, 'a', testHandler);
+        eventEmitter.listenTo(other1, 'b.widget', otherHandler);
+        eventEmitter.listenTo(other2, 'a', testHandler);
+      });
+
+      it('removes every handler added with listenTo when called with no arguments', () => {
+        eventEmitter.stopListening();
+
+        other1.emit('a');
+        other1.emit('b');
+        other2.emit('a');
+
+        assert.equal(testHandler.callCount, 0);
+        assert.equal(otherHandler.callCount, 0);
+      });
+
+      it('removes the handlers for one other emitter', () => {
+        eventEmitter.stopListening(other1);
+
+        other1.emit('a');
+        other1.emit('b');
+        other2.emit('a');
+
+        assert.equal(testHandler.callCount, 1);
+        assert.equal(otherHandler.callCount, 0);
+      });
+
+      it('removes the handlers for one other emitter and event name', () => {
+        eventEmitter.stopListening(other1, 'b');
+
+        other1.emit('a');
+        other1.emit('b');
+
+        assert.equal(testHandler.callCount, 1);
+        assert.equal(otherHandler.callCount, 0);
+      });
+
+      it('removes only the handlers in the namespace when a name with a namespace is given', () => {
+        let gadgetHandler = sandbox.stub();
+
+        eventEmitter.listenTo(other1, 'b.gadget', gadgetHandler);
+        eventEmitter.stopListening(other1, 'b.widget');
+
+        other1.emit('b');
+
+        assert.equal(otherHandler.callCount, 0);
+        assert.equal(gadgetHandler.callCount, 1);
+        assert.equal(other1.listenerCount('b'), 1);
+      });
+
+      it('removes the handlers for every name in a namespace when only a namespace is given', () => {
+        eventEmitter.listenTo(other1, 'c.widget', testHandler);
+        eventEmitter.stopListening(other1, '.widget');
+
+        other1.emit('a');
+        other1.emit('b');
+        other1.emit('c');
+
+        assert.equal(testHandler.callCount, 1);
+        assert.equal(otherHandler.callCount, 0);
+      });
+
+      it('does not remove handlers added to the other emitter directly', () => {
+        let directHandler = sandbox.stub();
+
+        other1.on('a', directHandler);
+        eventEmitter.stopListening();
+        other1.emit('a');
+
+        assert.equal(directHandler.callCount, 1);
+      });
+
+      it('does nothing for an emitter which is not listened to', () => {
+        assert.doesNotThrow(() => eventEmitter.stopListening(new EventEmitter()));
+      });
+
+      it('returns the instance for chaining', () => {
+        assert.equal(eventEmitter.stopListening(), eventEmitter);
+      });
     });
 
     describe('removeListener', () => {
@@ -200,6 +1339,10 @@ describe('EventEmitter', () => {
           assert.equal(testHandler3.callCount, 1);
         });
 
+        it('does not throw when there are no events for that event name', () => {
+          assert.doesNotThrow(() => eventEmitter.removeAllListeners('unknown'));
+        });
+
         it('returns the instance for chaining', () => {
           assert.equal(eventEmitter.removeAllListeners('test'), eventEmitter);
         });
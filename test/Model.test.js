@@ -1,4 +1,4 @@
-import {EventEmitter, Model, Collection} from '../vertebrate.js';
+import {EventEmitter, Model, Collection, batch} from '../vertebrate.js';
 import assert from 'assert';
 import sinon from 'sinon';
 
@@ -11,6 +11,19 @@ class Deferred {
   }
 }
 
+// A fake response body, read the way the library reads every body.
+function jsonText(data) {
+  return () => Promise.resolve(JSON.stringify(data));
+}
+
+function errorsFor(ModelClass, attributes) {
+  let model = new ModelClass(attributes);
+
+  model.isValid();
+
+  return model.validationError;
+}
+
 describe('Model', () => {
   let sandbox = sinon.sandbox.create();
   let fakeFetch;
@@ -97,6 +110,82 @@ describe('Model', () => {
 
           assert.equal(model.collection, undefined);
         });
+
+        it('does not keep a reference to the attributes object passed to it', () => {
+          let attributes = {a: 1};
+          let model = new Model(attributes);
+
+          attributes.a = 2;
+          model.set('b', 3);
+
+          assert.equal(model.get('a'), 1);
+          assert.deepEqual(attributes, {a: 2});
+        });
+
+        describe('with defaults', () => {
+          class ObjectDefaults extends Model {}
+
+          ObjectDefaults.defaults = {a: 1, tags: ['x'], nested: {when: new Date(0)}};
+
+          class FunctionDefaults extends Model {
+            static defaults() {
+              return {a: 'fn', list: []};
+            }
+          }
+
+          it('sets default attributes', () => {
+            let model = new ObjectDefaults();
+
+            assert.deepEqual(model.toJSON(), {a: 1, tags: ['x'], nested: {when: new Date(0)}});
+          });
+
+          it('uses attributes passed to it over defaults', () => {
+            let model = new ObjectDefaults({a: 2, b: 3});
+
+            assert.equal(model.get('a'), 2);
+            assert.equal(model.get('b'), 3);
+            assert.deepEqual(model.get('tags'), ['x']);
+          });
+
+          it('deep clones the defaults for each instance', () => {
+            let first = new ObjectDefaults();
+            let second = new ObjectDefaults();
+
+            first.get('tags').push('y');
+            first.get('nested').when.setTime(1);
+
+            assert.deepEqual(second.get('tags'), ['x']);
+            assert.deepEqual(ObjectDefaults.defaults.tags, ['x']);
+            assert.equal(second.get('nested').when.getTime(), 0);
+          });
+
+          it('calls a defaults function for each instance', () => {
+            let first = new FunctionDefaults();
+            let second = new FunctionDefaults({b: 1});
+
+            assert.equal(first.get('a'), 'fn');
+            assert.notEqual(first.get('list'), second.get('list'));
+            assert.deepEqual(second.toJSON(), {a: 'fn', list: [], b: 1});
+          });
+
+          it('counts defaults as the original state', () => {
+            let model = new ObjectDefaults();
+
+            assert.ok(!model.hasChanged());
+            assert.equal(model.previous('a'), 1);
+
+            model.set('a', 2);
+
+            assert.ok(model.hasChanged('a'));
+            assert.equal(model.previous('a'), 1);
+          });
+
+          it('is inherited by subclasses', () => {
+            class Child extends ObjectDefaults {}
+
+            assert.equal(new Child().get('a'), 1);
+          });
+        });
       });
 
       describe('get', () => {
@@ -140,6 +229,907 @@ describe('Model', () => {
         it('returns the instance for chaining', () => {
           assert.equal(model.set('a', 1), model);
         });
+
+        it('emits "change" and "change:<attr>" when a value changes', () => {
+          let changeHandler = sandbox.stub();
+          let attributeHandler = sandbox.stub();
+
+          model.on('change', changeHandler);
+          model.on('change:a', attributeHandler);
+          model.set('a', 1);
+          model.set('a', 1);
+
+          assert.equal(changeHandler.callCount, 1);
+          assert.equal(attributeHandler.callCount, 1);
+          assert.ok(attributeHandler.calledWithExactly(model, 1, undefined, {}));
+        });
+
+        describe('change events', () => {
+          let changeHandler;
+          let attributeHandler;
+
+          beforeEach(() => {
+            model = new Model({a: 1});
+            changeHandler = sandbox.stub();
+            attributeHandler = sandbox.stub();
+            model.on('change', changeHandler);
+            model.on('change:a', attributeHandler);
+          });
+
+          it('passes the model, new value, old value and options to "change:<attr>"', () => {
+            let options = {custom: true};
+
+            model.set('a', 2, options);
+
+            assert.ok(attributeHandler.calledWithExactly(model, 2, 1, options));
+          });
+
+          it('passes the model and a changeset to "change"', () => {
+            model.set({a: 2, b: 3});
+
+            assert.ok(changeHandler.calledWithExactly(model, {
+              a: {value: 2, previous: 1},
+              b: {value: 3, previous: undefined}
+            }));
+          });
+
+          it('starts a new changeset after each "change" event', () => {
+            model.set('a', 2);
+            model.set('a', 3);
+
+            assert.deepEqual(changeHandler.secondCall.args[1], {a: {value: 3, previous: 2}});
+            assert.ok(attributeHandler.secondCall.calledWithExactly(model, 3, 2, {}));
+          });
+
+          it('includes attributes set silently since the last "change" event', () => {
+            model.set('b', 2, {silent: true});
+            model.set('a', 2);
+
+            assert.deepEqual(changeHandler.args[0][1], {
+              b: {value: 2, previous: undefined},
+              a: {value: 2, previous: 1}
+            });
+          });
+
+          it('describes every change in a batch in the collapsed "change" event', () => {
+            batch(() => {
+              model.set('a', 2);
+              model.set('b', 3);
+              model.set('a', 4);
+            });
+
+            assert.equal(changeHandler.callCount, 1);
+            assert.ok(changeHandler.calledWithExactly(model, {
+              a: {value: 4, previous: 1},
+              b: {value: 3, previous: undefined}
+            }));
+            assert.ok(attributeHandler.calledWithExactly(model, 4, 1, {}));
+          });
+        });
+
+        describe('with an attributes hash', () => {
+          it('sets every attribute', () => {
+            model.set({a: 1, b: 2});
+
+            assert.equal(model.get('a'), 1);
+            assert.equal(model.get('b'), 2);
+          });
+
+          it('emits a single "change" event and "change:<attr>" for each changed attribute', () => {
+            let calls = [];
+
+            model.set('a', 1);
+            model.on('change*', (name, ...args) => calls.push([name, ...args]));
+            model.set({a: 1, b: 2, c: 3});
+
+            assert.deepEqual(calls, [
+              ['change', model, {b: {value: 2, previous: undefined}, c: {value: 3, previous: undefined}}],
+              ['change:b', model, 2, undefined, {}],
+              ['change:c', model, 3, undefined, {}]
+            ]);
+          });
+
+          it('does not emit when nothing changes', () => {
+            let handler = sandbox.stub();
+
+            model.set({a: 1});
+            model.on('change', handler);
+            model.set({a: 1});
+
+            assert.equal(handler.callCount, 0);
+          });
+
+          it('throws without setting anything when it would change the ID', () => {
+            model = new Model({id: 1});
+
+            assert.throws(() => model.set({a: 1, id: 2}), err => err.message === 'Cannot change the ID of a model.');
+            assert.ok(!model.has('a'));
+          });
+        });
+
+        describe('silent option is truthy', () => {
+          it('sets values without emitting events', () => {
+            let handler = sandbox.stub();
+
+            model.on('change', handler);
+            model.set('a', 1, {silent: true});
+            model.set({b: 2}, {silent: true});
+
+            assert.equal(model.get('a'), 1);
+            assert.equal(model.get('b'), 2);
+            assert.equal(handler.callCount, 0);
+          });
+        });
+
+        describe('unset option is truthy', () => {
+          it('removes the attributes and emits events for those which were set', () => {
+            let calls = [];
+
+            model.set({a: 1, b: 2});
+            model.on('change*', (name, ...args) => calls.push([name, ...args]));
+            model.set({a: 'ignored', c: 3}, {unset: true});
+
+            assert.ok(!model.has('a'));
+            assert.ok(!model.toJSON().hasOwnProperty('a'));
+            assert.equal(model.get('b'), 2);
+            assert.deepEqual(calls, [
+              ['change', model, {a: {value: undefined, previous: 1}}],
+              ['change:a', model, undefined, 1, {unset: true}]
+            ]);
+          });
+
+          it('throws when it would remove the ID', () => {
+            model = new Model({id: 1});
+
+            assert.throws(() => model.set('id', undefined, {unset: true}));
+            assert.equal(model.id, 1);
+          });
+        });
+      });
+
+      describe('unset', () => {
+        let model;
+
+        beforeEach(() => {
+          model = new Model({a: 1, b: 2});
+        });
+
+        it('removes the attribute', () => {
+          model.unset('a');
+
+          assert.ok(!model.has('a'));
+          assert.deepEqual(model.toJSON(), {b: 2});
+        });
+
+        it('emits "change" and "change:<attr>" with undefined', () => {
+          let changeHandler = sandbox.stub();
+          let attributeHandler = sandbox.stub();
+
+          model.on('change', changeHandler);
+          model.on('change:a', attributeHandler);
+          model.unset('a');
+
+          assert.equal(changeHandler.callCount, 1);
+          assert.ok(attributeHandler.calledWithExactly(model, undefined, 1, {unset: true}));
+        });
+
+        it('does not emit when the attribute is not set', () => {
+          let handler = sandbox.stub();
+
+          model.on('change', handler);
+          model.unset('c');
+
+          assert.equal(handler.callCount, 0);
+        });
+
+        it('does not emit when the silent option is truthy', () => {
+          let handler = sandbox.stub();
+
+          model.on('change', handler);
+          model.unset('a', {silent: true});
+
+          assert.ok(!model.has('a'));
+          assert.equal(handler.callCount, 0);
+        });
+
+        it('returns the instance for chaining', () => {
+          assert.equal(model.unset('a'), model);
+        });
+      });
+
+      describe('clear', () => {
+        let model;
+
+        beforeEach(() => {
+          model = new Model({a: 1, b: 2});
+        });
+
+        it('removes every attribute when called without options', () => {
+          model.clear();
+
+          assert.deepEqual(model.toJSON(), {});
+        });
+
+        it('emits a single "change" event and "change:<attr>" for each attribute', () => {
+          let calls = [];
+
+          model.on('change*', (name, ...args) => calls.push([name, ...args]));
+          model.clear();
+
+          assert.deepEqual(calls, [
+            ['change', model, {a: {value: undefined, previous: 1}, b: {value: undefined, previous: 2}}],
+            ['change:a', model, undefined, 1, {}],
+            ['change:b', model, undefined, 2, {}]
+          ]);
+        });
+
+        it('does not emit when the silent option is truthy', () => {
+          let handler = sandbox.stub();
+
+          model.on('change', handler);
+          model.clear({silent: true});
+
+          assert.deepEqual(model.toJSON(), {});
+          assert.equal(handler.callCount, 0);
+        });
+
+        it('returns the instance for chaining', () => {
+          assert.equal(model.clear(), model);
+        });
+      });
+
+      describe('transaction', () => {
+        let model;
+        let handler;
+
+        beforeEach(() => {
+          model = new Model({a: 1});
+          handler = sandbox.stub();
+        });
+
+        it('calls the function with the model and returns its result', () => {
+          let fn = sandbox.stub().returns('result');
+
+          assert.equal(model.transaction(fn), 'result');
+          assert.ok(fn.calledWithExactly(model));
+        });
+
+        it('emits a single "change" event once the function returns', () => {
+          model.on('change', handler);
+
+          model.transaction(() => {
+            model.set('a', 2);
+            model.set('b', 3);
+
+            assert.equal(handler.callCount, 0);
+          });
+
+          assert.equal(handler.callCount, 1);
+        });
+
+        it('emits one "change:<attr>" event per attribute with the final value', () => {
+          let aHandler = sandbox.stub();
+          let bHandler = sandbox.stub();
+
+          model.on('change:a', aHandler);
+          model.on('change:b', bHandler);
+
+          model.transaction(() => {
+            model.set('a', 2);
+            model.set('b', 3);
+            model.set('a', 4);
+          });
+
+          assert.equal(aHandler.callCount, 1);
+          assert.ok(aHandler.calledWithExactly(model, 4, 1, {}));
+          assert.equal(bHandler.callCount, 1);
+          assert.ok(bHandler.calledWithExactly(model, 3, undefined, {}));
+        });
+
+        it('rolls back attributes and emits nothing when the function throws', () => {
+          let err = new Error();
+
+          model.on('change', handler);
+
+          assert.throws(() => model.transaction(() => {
+            model.set('a', 2);
+            model.set('b', 3);
+            throw err;
+          }), error => error === err);
+
+          assert.equal(model.get('a'), 1);
+          assert.ok(!model.has('b'));
+          assert.equal(handler.callCount, 0);
+        });
+
+        it('keeps events from before a failed transaction inside a batch', () => {
+          let aHandler = sandbox.stub();
+
+          model.on('change:a', aHandler);
+
+          batch(() => {
+            model.set('a', 2);
+
+            assert.throws(() => model.transaction(() => {
+              model.set('a', 3);
+              throw new Error();
+            }));
+          });
+
+          assert.equal(model.get('a'), 2);
+          assert.equal(aHandler.callCount, 1);
+          assert.ok(aHandler.calledWithExactly(model, 2, 1, {}));
+        });
+
+        it('emits a single bubbled "change" event on collections', () => {
+          let collection = new Collection([model]);
+
+          collection.on('change', handler);
+
+          model.transaction(() => {
+            model.set('a', 2);
+            model.set('b', 3);
+          });
+
+          assert.equal(handler.callCount, 1);
+          assert.ok(handler.calledWithExactly(model, {
+            a: {value: 2, previous: 1},
+            b: {value: 3, previous: undefined}
+          }));
+        });
+      });
+
+      describe('validation', () => {
+        class TestModel extends Model {
+          urlRoot() {
+            return '/a/b/c';
+          }
+
+          validate(attributes) {
+            if (typeof attributes.name !== 'string') {
+              return {name: 'A name is required.'};
+            }
+          }
+        }
+
+        let model;
+        let invalidHandler;
+
+        beforeEach(() => {
+          model = new TestModel({name: 'a'});
+          invalidHandler = sandbox.stub();
+          model.on('invalid', invalidHandler);
+        });
+
+        it('considers models valid by default', () => {
+          let plain = new Model({a: 1});
+
+          assert.strictEqual(plain.isValid(), true);
+          assert.strictEqual(plain.validationError, null);
+        });
+
+        describe('isValid', () => {
+          it('returns true when validate returns nothing', () => {
+            assert.strictEqual(model.isValid(), true);
+            assert.strictEqual(model.validationError, null);
+            assert.equal(invalidHandler.callCount, 0);
+          });
+
+          it('returns false, sets validationError and emits "invalid" when validate returns errors', () => {
+            model.unset('name');
+
+            assert.strictEqual(model.isValid(), false);
+            assert.deepEqual(model.validationError, {name: 'A name is required.'});
+            assert.ok(invalidHandler.calledWithExactly(model, {name: 'A name is required.'}, {}));
+          });
+
+          it('passes the attributes and options to validate', () => {
+            let validate = sandbox.spy(model, 'validate');
+            let options = {a: 1};
+
+            model.isValid(options);
+
+            assert.ok(validate.calledWithExactly({name: 'a'}, options));
+          });
+
+          it('clears validationError once the model is valid again', () => {
+            model.unset('name');
+            model.isValid();
+            model.set('name', 'b');
+            model.isValid();
+
+            assert.strictEqual(model.validationError, null);
+          });
+        });
+
+        describe('set', () => {
+          it('does not validate by default', () => {
+            model.set('name', 1);
+
+            assert.equal(model.get('name'), 1);
+            assert.equal(invalidHandler.callCount, 0);
+          });
+
+          it('does not change anything and returns false when invalid with the validate option', () => {
+            let changeHandler = sandbox.stub();
+
+            model.on('change', changeHandler);
+
+            assert.strictEqual(model.set({name: 1, b: 2}, {validate: true}), false);
+            assert.equal(model.get('name'), 'a');
+            assert.ok(!model.has('b'));
+            assert.equal(changeHandler.callCount, 0);
+            assert.ok(invalidHandler.calledWithExactly(model, {name: 'A name is required.'}, {validate: true}));
+          });
+
+          it('validates the attributes as they would be after unsetting', () => {
+            assert.strictEqual(model.unset('name', {validate: true}), false);
+            assert.equal(model.get('name'), 'a');
+          });
+
+          it('sets valid attributes with the validate option', () => {
+            assert.equal(model.set('name', 'b', {validate: true}), model);
+            assert.equal(model.get('name'), 'b');
+          });
+        });
+
+        describe('save', () => {
+          it('rejects without making a request when invalid', () => {
+            model.unset('name');
+
+            return model.save()
+              .then(() => assert.fail('Expected a rejection.'), err => {
+                assert.equal(err.name, 'ValidationError');
+                assert.equal(err.message, 'The model is invalid.');
+                assert.deepEqual(err.errors, {name: 'A name is required.'});
+                assert.equal(invalidHandler.callCount, 1);
+                assert.equal(fakeFetch.callCount, 0);
+              });
+          });
+
+          it('makes the request when valid', () => {
+            model.save();
+
+            assert.equal(fakeFetch.callCount, 1);
+          });
+
+          it('skips validation when the validate option is false', () => {
+            model.unset('name');
+            model.save({validate: false});
+
+            assert.equal(fakeFetch.callCount, 1);
+            assert.equal(invalidHandler.callCount, 0);
+          });
+
+          it('validates after "before:save" handlers have run', () => {
+            model.on('before:save', () => {
+              model.unset('name');
+            });
+
+            return model.save()
+              .then(() => assert.fail('Expected a rejection.'), err => {
+                assert.equal(err.name, 'ValidationError');
+                assert.equal(fakeFetch.callCount, 0);
+              });
+          });
+        });
+
+        it('bubbles "invalid" events to collections without repeating the model', () => {
+          let collection = new Collection([model]);
+          let handler = sandbox.stub();
+
+          collection.on('invalid', handler);
+          model.unset('name');
+          model.isValid();
+
+          assert.ok(handler.calledWithExactly(model, {name: 'A name is required.'}, {}));
+        });
+      });
+
+      describe('schema', () => {
+        class Owner extends Model {}
+
+        Owner.schema = {
+          name: {type: String, required: true}
+        };
+
+        class Item extends Model {
+          urlRoot() {
+            return '/items';
+          }
+        }
+
+        Item.schema = {
+          title: {type: String, required: true, min: 2, max: 10, pattern: /^[a-z ]+$/},
+          count: {type: Number, min: 0, max: 5, default: 0},
+          active: {type: Boolean, default: () => true},
+          status: {type: String, enum: ['open', 'closed']},
+          due: {type: Date, min: new Date('2000-01-01T00:00:00.000Z')},
+          tags: {type: Array, items: {type: String}, max: 3, default: []},
+          owner: {type: Owner}
+        };
+
+        describe('coercion', () => {
+          it('coerces attributes passed to the constructor', () => {
+            let item = new Item({title: 'a', count: '3', active: 'false', due: '2020-01-02T00:00:00.000Z'});
+
+            assert.strictEqual(item.get('count'), 3);
+            assert.strictEqual(item.get('active'), false);
+            assert.ok(item.get('due') instanceof Date);
+            assert.equal(item.get('due').toISOString(), '2020-01-02T00:00:00.000Z');
+          });
+
+          it('coerces values on set', () => {
+            let item = new Item();
+
+            item.set({title: 12, count: '4', active: 1, tags: [1, 'b']});
+
+            assert.strictEqual(item.get('title'), '12');
+            assert.strictEqual(item.get('count'), 4);
+            assert.strictEqual(item.get('active'), true);
+            assert.deepEqual(item.get('tags'), ['1', 'b']);
+          });
+
+          it('creates nested models from plain objects', () => {
+            let item = new Item({owner: {name: 'Ada'}});
+
+            assert.ok(item.get('owner') instanceof Owner);
+            assert.equal(item.get('owner').get('name'), 'Ada');
+          });
+
+          it('leaves values which cannot be coerced alone', () => {
+            let item = new Item({count: 'lots', active: 'maybe', due: 'never'});
+
+            assert.equal(item.get('count'), 'lots');
+            assert.equal(item.get('active'), 'maybe');
+            assert.equal(item.get('due'), 'never');
+          });
+
+          it('leaves attributes which are not in the schema alone', () => {
+            let item = new Item({other: '1'});
+
+            assert.strictEqual(item.get('other'), '1');
+          });
+
+          it('does not emit change events when a date is set to the same time', () => {
+            let item = new Item({due: '2020-01-02T00:00:00.000Z'});
+            let handler = sandbox.stub();
+
+            item.on('change', handler);
+            item.set('due', '2020-01-02T00:00:00.000Z');
+
+            assert.equal(handler.callCount, 0);
+            assert.strictEqual(item.hasChanged(), false);
+            assert.deepEqual(item.changedAttributes(), {});
+          });
+        });
+
+        describe('defaults', () => {
+          it('sets defaults from the schema', () => {
+            let item = new Item();
+
+            assert.strictEqual(item.get('count'), 0);
+            assert.strictEqual(item.get('active'), true);
+            assert.deepEqual(item.get('tags'), []);
+          });
+
+          it('copies defaults for each instance', () => {
+            let first = new Item();
+            let second = new Item();
+
+            first.get('tags').push('a');
+
+            assert.deepEqual(second.get('tags'), []);
+          });
+
+          it('uses static defaults over schema defaults', () => {
+            class Child extends Item {}
+
+            Child.defaults = {count: 2};
+
+            assert.strictEqual(new Child().get('count'), 2);
+          });
+        });
+
+        describe('validation', () => {
+          it('accepts valid attributes', () => {
+            assert.strictEqual(errorsFor(Item, {title: 'a title', status: 'open', owner: {name: 'Ada'}}), null);
+          });
+
+          it('reports missing required attributes', () => {
+            assert.deepEqual(errorsFor(Item, {}), {title: 'title is required.'});
+          });
+
+          it('reports values of the wrong type', () => {
+            assert.deepEqual(errorsFor(Item, {title: 'ab', count: 'lots', owner: 'Ada'}), {
+              count: 'count must be a number.',
+              owner: 'owner must be an instance of Owner.'
+            });
+          });
+
+          it('reports values outside of the enum', () => {
+            assert.deepEqual(errorsFor(Item, {title: 'ab', status: 'lost'}), {status: 'status must be one of open, closed.'});
+          });
+
+          it('reports strings which do not match the pattern', () => {
+            assert.deepEqual(errorsFor(Item, {title: 'AB'}), {title: 'title must match /^[a-z ]+$/.'});
+          });
+
+          it('reports numbers, dates and lengths outside of min and max', () => {
+            let errors = errorsFor(Item, {title: 'a', count: 6, due: '1999-01-01', tags: ['a', 'b', 'c', 'd']});
+
+            assert.equal(errors.title, 'title must be at least 2 in length.');
+            assert.equal(errors.count, 'count must be at most 5.');
+            assert.ok(errors.due.startsWith('due must be at least '));
+            assert.equal(errors.tags, 'tags must be at most 3 in length.');
+          });
+
+          it('reports invalid array items', () => {
+            let item = new Item({title: 'ab'});
+
+            item.set('tags', ['a', {}]);
+            item.isValid();
+
+            assert.deepEqual(item.validationError, {tags: 'tags[1] must be a string.'});
+          });
+
+          it('reports the errors of nested models', () => {
+            assert.deepEqual(errorsFor(Item, {title: 'ab', owner: {}}), {owner: {name: 'name is required.'}});
+          });
+
+          it('prevents saving invalid models', () => {
+            return new Item().save()
+              .then(() => assert.fail('Expected a rejection.'), err => {
+                assert.deepEqual(err.errors, {title: 'title is required.'});
+                assert.equal(fakeFetch.callCount, 0);
+              });
+          });
+        });
+
+        describe('toJSON', () => {
+          it('serializes dates, arrays and nested models', () => {
+            let item = new Item({title: 'ab', due: '2020-01-02T00:00:00.000Z', owner: {name: 'Ada'}, other: 1});
+
+            assert.deepEqual(item.toJSON(), {
+              title: 'ab',
+              count: 0,
+              active: true,
+              tags: [],
+              due: '2020-01-02T00:00:00.000Z',
+              owner: {name: 'Ada'},
+              other: 1
+            });
+          });
+        });
+      });
+
+      describe('fromJSONSchema', () => {
+        let jsonSchema;
+        let Person;
+        let person;
+        let invalidHandler;
+
+        beforeEach(() => {
+          jsonSchema = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            type: 'object',
+            required: ['name', 'email'],
+            properties: {
+              id: {type: 'integer', minimum: 1},
+              name: {type: 'string', minLength: 1, maxLength: 20},
+              email: {type: 'string', format: 'email'},
+              born: {type: 'string', format: 'date'},
+              age: {type: 'integer', minimum: 0, exclusiveMaximum: 150},
+              role: {enum: ['admin', 'user']},
+              address: {$ref: '#/$defs/address'},
+              tags: {type: 'array', items: {type: 'string'}, uniqueItems: true, maxItems: 3},
+              '~a/b': {type: 'boolean'}
+            },
+            additionalProperties: false,
+            $defs: {
+              address: {
+                type: 'object',
+                required: ['zip'],
+                properties: {
+                  zip: {type: 'string', pattern: '^[0-9]{5}$'},
+                  city: {type: ['string', 'null']}
+                }
+              }
+            }
+          };
+
+          Person = Model.fromJSONSchema(jsonSchema);
+          person = new Person({name: 'Ada', email: 'ada@example.com'});
+          invalidHandler = sandbox.stub();
+          person.on('invalid', invalidHandler);
+        });
+
+        it('returns a subclass of the class it is called on', () => {
+          class Base extends Model {}
+
+          let Derived = Base.fromJSONSchema({});
+
+          assert.ok(new Derived() instanceof Base);
+          assert.ok(new Person() instanceof Model);
+          assert.equal(Person.jsonSchema, jsonSchema);
+        });
+
+        it('throws for remote $refs', () => {
+          assert.throws(
+            () => Model.fromJSONSchema({properties: {a: {$ref: 'https://example.com/schema'}}}),
+            err => err.message === 'Only local $refs are supported: https://example.com/schema'
+          );
+        });
+
+        it('throws for local $refs which do not resolve', () => {
+          assert.throws(
+            () => Model.fromJSONSchema({properties: {a: {$ref: '#/$defs/missing'}}}),
+            err => err.message === 'Unresolvable $ref: #/$defs/missing'
+          );
+        });
+
+        it('resolves $refs to $anchors', () => {
+          let Thing = Model.fromJSONSchema({
+            properties: {zip: {$ref: '#zip'}},
+            $defs: {zip: {$anchor: 'zip', type: 'string'}}
+          });
+
+          assert.deepEqual(errorsFor(Thing, {zip: 12345}), {'/zip': 'must be of type string.'});
+        });
+
+        it('throws for $refs to missing $anchors', () => {
+          assert.throws(
+            () => Model.fromJSONSchema({properties: {a: {$ref: '#foo'}}}),
+            err => err.message === 'Unresolvable $ref: #foo'
+          );
+        });
+
+        describe('validation', () => {
+          it('accepts valid attributes', () => {
+            assert.strictEqual(errorsFor(Person, {
+              id: 1,
+              name: 'Ada',
+              email: 'ada@example.com',
+              born: '1815-12-10',
+              role: 'admin',
+              address: {zip: '12345', city: null},
+              tags: ['a', 'b']
+            }), null);
+          });
+
+          it('reports missing required properties at their JSON Pointer', () => {
+            assert.deepEqual(errorsFor(Person, {}), {'/name': 'is required.', '/email': 'is required.'});
+          });
+
+          it('reports types, formats, ranges and enums', () => {
+            assert.deepEqual(errorsFor(Person, {name: 1, email: 'nope', born: '1815-13-45', age: 150, role: 'guest'}), {
+              '/name': 'must be of type string.',
+              '/email': 'must be a valid email.',
+              '/born': 'must be a valid date.',
+              '/age': 'must be less than 150.',
+              '/role': 'must be one of the allowed values.'
+            });
+          });
+
+          it('checks multipleOf without being thrown by rounding errors', () => {
+            let Product = Model.fromJSONSchema({properties: {price: {type: 'number', multipleOf: 0.01}}});
+
+            assert.strictEqual(errorsFor(Product, {price: 0.07}), null);
+            assert.strictEqual(errorsFor(Product, {price: 19.99}), null);
+            assert.strictEqual(errorsFor(Product, {price: 1e6 + 0.03}), null);
+            assert.deepEqual(errorsFor(Product, {price: 0.075}), {'/price': 'must be a multiple of 0.01.'});
+          });
+
+          it('reports errors in nested objects through $refs', () => {
+            assert.deepEqual(errorsFor(Person, {name: 'Ada', email: 'ada@example.com', address: {zip: 'abc', city: 1}}), {
+              '/address/zip': 'must match the pattern ^[0-9]{5}$.',
+              '/address/city': 'must be of type string or null.'
+            });
+
+            assert.deepEqual(errorsFor(Person, {name: 'Ada', email: 'ada@example.com', address: {}}), {
+              '/address/zip': 'is required.'
+            });
+          });
+
+          it('reports errors in arrays', () => {
+            assert.deepEqual(errorsFor(Person, {name: 'Ada', email: 'ada@example.com', tags: ['a', 2]}), {
+              '/tags/1': 'must be of type string.'
+            });
+
+            assert.deepEqual(errorsFor(Person, {name: 'Ada', email: 'ada@example.com', tags: ['a', 'a', 'b']}), {
+              '/tags': 'must not have duplicate items.'
+            });
+          });
+
+          it('reports additional properties', () => {
+            assert.deepEqual(errorsFor(Person, {name: 'Ada', email: 'ada@example.com', extra: 1}), {'/extra': 'is not allowed.'});
+          });
+
+          it('escapes property names in JSON Pointers', () => {
+            assert.deepEqual(errorsFor(Person, {name: 'Ada', email: 'ada@example.com', '~a/b': 'yes'}), {
+              '/~0a~1b': 'must be of type boolean.'
+            });
+          });
+
+          it('supports combinators and conditionals', () => {
+            let Shape = Model.fromJSONSchema({
+              properties: {
+                size: {anyOf: [{type: 'integer'}, {const: 'big'}]},
+                kind: {oneOf: [{type: 'string'}, {enum: ['round']}]},
+                name: {not: {const: 'forbidden'}},
+                sides: {type: 'integer'}
+              },
+              if: {properties: {kind: {const: 'polygon'}}},
+              then: {required: ['sides']}
+            });
+
+            assert.deepEqual(errorsFor(Shape, {size: 'small', kind: 'round', name: 'forbidden'}), {
+              '/size': 'must match at least one of the anyOf schemas.',
+              '/kind': 'must match exactly one of the oneOf schemas.',
+              '/name': 'must not match the not schema.'
+            });
+
+            assert.deepEqual(errorsFor(Shape, {kind: 'polygon'}), {'/sides': 'is required.'});
+          });
+        });
+
+        describe('set', () => {
+          it('sets valid values', () => {
+            assert.equal(person.set('age', 30), person);
+            assert.equal(person.get('age'), 30);
+          });
+
+          it('refuses invalid values, returns false and emits "invalid" with JSON Pointer errors', () => {
+            assert.strictEqual(person.set({age: -1, name: 'Ada L'}), false);
+            assert.ok(!person.has('age'));
+            assert.equal(person.get('name'), 'Ada');
+            assert.deepEqual(person.validationError, {'/age': 'must be at least 0.'});
+            assert.ok(invalidHandler.calledWith(person, {'/age': 'must be at least 0.'}));
+          });
+
+          it('refuses invalid nested values', () => {
+            assert.strictEqual(person.set('address', {zip: 1}), false);
+            assert.deepEqual(person.validationError, {'/address/zip': 'must be of type string.'});
+          });
+
+          it('is not blocked by errors in other attributes', () => {
+            let incomplete = new Person();
+
+            assert.equal(incomplete.set('name', 'Ada'), incomplete);
+            assert.equal(incomplete.get('name'), 'Ada');
+          });
+
+          it('refuses to unset required attributes', () => {
+            assert.strictEqual(person.unset('name'), false);
+            assert.equal(person.get('name'), 'Ada');
+          });
+
+          it('does not validate when the validate option is false', () => {
+            person.set('age', -1, {validate: false});
+
+            assert.equal(person.get('age'), -1);
+            assert.equal(invalidHandler.callCount, 0);
+          });
+        });
+
+        describe('save', () => {
+          it('rejects without making a request when invalid', () => {
+            class SavedPerson extends Person {
+              urlRoot() {
+                return '/people';
+              }
+            }
+
+            let incomplete = new SavedPerson({name: 'Ada'});
+
+            return incomplete.save()
+              .then(() => assert.fail('Expected a rejection.'), err => {
+                assert.equal(err.name, 'ValidationError');
+                assert.deepEqual(err.errors, {'/email': 'is required.'});
+                assert.equal(fakeFetch.callCount, 0);
+              });
+          });
+        });
       });
 
       describe('id', () => {
@@ -255,6 +1245,48 @@ describe('Model', () => {
         });
       });
 
+      describe('toJSON', () => {
+        it('returns a shallow copy of the attributes', () => {
+          let model = new Model({a: 1});
+          let json = model.toJSON();
+
+          assert.deepEqual(json, {a: 1});
+
+          json.a = 2;
+
+          assert.equal(model.get('a'), 1);
+        });
+      });
+
+      describe('parse', () => {
+        class EnvelopeModel extends Model {
+          parse(response) {
+            return {id: response.data.id, createdAt: new Date(response.data.created)};
+          }
+        }
+
+        it('returns the response unchanged', () => {
+          let response = {a: 1};
+
+          assert.equal(new Model().parse(response), response);
+        });
+
+        it('is not used by the constructor by default', () => {
+          let model = new Model({data: {id: 1}});
+
+          assert.deepEqual(model.get('data'), {id: 1});
+        });
+
+        it('is used by the constructor when the parse option is truthy', () => {
+          let model = new EnvelopeModel({data: {id: 1, created: '2020-01-01T00:00:00.000Z'}}, {parse: true});
+
+          assert.equal(model.id, 1);
+          assert.ok(model.get('createdAt') instanceof Date);
+          assert.equal(model.get('createdAt').toISOString(), '2020-01-01T00:00:00.000Z');
+          assert.strictEqual(model.hasChanged(), false);
+        });
+      });
+
       describe('previous', () => {
         let model;
 
@@ -400,7 +1432,7 @@ describe('Model', () => {
         it('rejects if the ID in the response data does not match the model ID', done => {
           fetchDeferred.resolve({
             ok: true,
-            json: () => ({id: 9})
+            text: jsonText({id: 9})
           });
 
           model.fetch()
@@ -411,10 +1443,45 @@ describe('Model', () => {
             });
         });
 
+        it('waits for the response data', () => {
+          fetchDeferred.resolve({
+            ok: true,
+            text: jsonText({id: 10, b: 3})
+          });
+
+          return model.fetch()
+            .then(() => assert.equal(model.get('b'), 3));
+        });
+
+        it('merges the result of parse with the response data and options', () => {
+          let options = {};
+
+          model.parse = sandbox.spy(response => response.data);
+
+          fetchDeferred.resolve({
+            ok: true,
+            text: jsonText({data: {id: 10, b: 3}})
+          });
+
+          return model.fetch(options)
+            .then(() => {
+              assert.ok(model.parse.calledWithExactly({data: {id: 10, b: 3}}, options));
+              assert.equal(model.get('b'), 3);
+              assert.equal(model.get('data'), undefined);
+            });
+        });
+
+        it('rejects if the response body is malformed', () => {
+          fetchDeferred.resolve({ok: true, status: 200, text: () => Promise.resolve('{"id": ')});
+
+          return model.fetch()
+            .then(() => assert.fail('Expected a rejection.'), err => assert.ok(err instanceof SyntaxError));
+        });
+
         it('merges the returned state with that of the object', () => {
           fetchDeferred.resolve({
             ok: true,
-            json: () => ({id: 10, b: 3})
+            text: jsonText({id: 10, b: 3})
           });
 
           return model.fetch()
@@ -428,7 +1495,7 @@ describe('Model', () => {
         it('considers the state of the object before the fetch to be changes', () => {
           fetchDeferred.resolve({
             ok: true,
-            json: () => ({id: 10, b: 3})
+            text: jsonText({id: 10, b: 3})
           });
 
           return model.fetch()
@@ -438,7 +1505,7 @@ describe('Model', () => {
         it('resolves to undefined', () => {
           fetchDeferred.resolve({
             ok: true,
-            json: () => ({id: 10, b: 3})
+            text: jsonText({id: 10, b: 3})
           });
 
           return model.fetch()
@@ -448,7 +1515,7 @@ describe('Model', () => {
         it('emits "sync" when the silent option is truthy', () => {
           fetchDeferred.resolve({
             ok: true,
-            json: () => ({id: 10})
+            text: jsonText({id: 10})
           });
 
           let syncStub = sandbox.stub();
@@ -466,7 +1533,7 @@ describe('Model', () => {
         it('does not emit "sync" when the silent option is truthy', () => {
           fetchDeferred.resolve({
             ok: true,
-            json: () => ({id: 10})
+            text: jsonText({id: 10})
           });
 
           let syncStub = sandbox.stub();
@@ -514,10 +1581,7 @@ describe('Model', () => {
             assert.deepEqual(fakeFetch.args[0][1], {
               method: 'post',
               credentials: 'same-origin',
-              body: {
-                a: 1,
-                b: 2
-              },
+              body: JSON.stringify({a: 1, b: 2}),
               headers: {
                 Accept: 'application/json',
                 'Content-Type': 'application/json'
@@ -543,7 +1607,7 @@ describe('Model', () => {
 
             newModelNoCollection.set('a', 3);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -559,7 +1623,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -576,7 +1640,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -600,10 +1664,7 @@ describe('Model', () => {
             assert.deepEqual(fakeFetch.args[0][1], {
               method: 'post',
               credentials: 'same-origin',
-              body: {
-                a: 1,
-                b: 2
-              },
+              body: JSON.stringify({a: 1, b: 2}),
               headers: {
                 Accept: 'application/json',
                 'Content-Type': 'application/json'
@@ -629,7 +1690,7 @@ describe('Model', () => {
 
             newModelWithCollection.set('a', 3);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -645,7 +1706,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -662,7 +1723,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -686,11 +1747,7 @@ describe('Model', () => {
             assert.deepEqual(fakeFetch.args[0][1], {
               method: 'put',
               credentials: 'same-origin',
-              body: {
-                id: 10,
-                a: 1,
-                b: 2
-              },
+              body: JSON.stringify({id: 10, a: 1, b: 2}),
               headers: {
                 Accept: 'application/json',
                 'Content-Type': 'application/json'
@@ -716,7 +1773,7 @@ describe('Model', () => {
 
             oldModelNoCollection.set('a', 3);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -732,7 +1789,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -749,7 +1806,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -773,11 +1830,7 @@ describe('Model', () => {
             assert.deepEqual(fakeFetch.args[0][1], {
               method: 'put',
               credentials: 'same-origin',
-              body: {
-                id: 10,
-                a: 1,
-                b: 2
-              },
+              body: JSON.stringify({id: 10, a: 1, b: 2}),
               headers: {
                 Accept: 'application/json',
                 'Content-Type': 'application/json'
@@ -803,7 +1856,7 @@ describe('Model', () => {
 
             oldModelWithCollection.set('a', 3);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -819,7 +1872,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -836,7 +1889,7 @@ describe('Model', () => {
 
             assert.equal(syncHandlerStub.callCount, 0);
 
-            fetchDeferred.resolve({ok: true, json: sandbox.stub()});
+            fetchDeferred.resolve({ok: true, status: 204});
 
             return saving
               .then(() => {
@@ -844,6 +1897,153 @@ describe('Model', () => {
               });
           });
         });
+
+        describe('with "before:save" handlers', () => {
+          let model;
+
+          beforeEach(() => {
+            model = new TestModel({a: 1});
+          });
+
+          it('waits for the handlers before making the request', () => {
+            let hookDeferred = new Deferred();
+
+            model.on('before:save', () => hookDeferred.promise);
+
+            let saving = model.save();
+
+            return Promise.resolve()
+              .then(() => {
+                assert.equal(fakeFetch.callCount, 0);
+
+                hookDeferred.resolve();
+                fetchDeferred.resolve({ok: true, status: 204});
+
+                return saving;
+              })
+              .then(() => assert.equal(fakeFetch.callCount, 1));
+          });
+
+          it('calls the handlers with the model and the save options', () => {
+            let handler = sandbox.stub();
+            let options = {silent: true};
+
+            model.on('before:save', handler);
+            fetchDeferred.resolve({ok: true, status: 204});
+
+            return model.save(options)
+              .then(() => assert.ok(handler.calledWithExactly(model, options)));
+          });
+
+          it('sends attributes set by the handlers', () => {
+            model.on('before:save', () => {
+              model.set('b', 2);
+            });
+
+            fetchDeferred.resolve({ok: true, status: 204});
+
+            return model.save()
+              .then(() => assert.equal(fakeFetch.args[0][1].body, JSON.stringify({a: 1, b: 2})));
+          });
+
+          it('rejects without making a request when a handler vetoes', () => {
+            model.on('before:save', () => Promise.resolve(false));
+
+            return model.save()
+              .then(() => assert.fail('Expected a rejection.'), err => {
+                assert.equal(err.message, 'The save was vetoed by a "before:save" handler.');
+                assert.equal(fakeFetch.callCount, 0);
+              });
+          });
+
+          it('rejects without making a request when a handler fails', () => {
+            let err = new Error('Oh noes!');
+
+            model.on('before:save', () => Promise.reject(err));
+
+            return model.save()
+              .then(() => assert.fail('Expected a rejection.'), error => {
+                assert.deepEqual(error.errors, [err]);
+                assert.equal(fakeFetch.callCount, 0);
+              });
+          });
+        });
+
+        describe('serialization', () => {
+          let model;
+
+          beforeEach(() => {
+            model = new TestModel({a: 1});
+          });
+
+          it('sends the result of toJSON with the options', () => {
+            let options = {};
+
+            model.toJSON = sandbox.spy(() => ({renamed: 1}));
+            model.save(options);
+
+            assert.ok(model.toJSON.calledWithExactly(options));
+            assert.equal(fakeFetch.args[0][1].body, JSON.stringify({renamed: 1}));
+          });
+
+          it('merges the parsed response into the model', () => {
+            let changeHandler = sandbox.stub();
+
+            model.parse = response => response.data;
+            model.on('change:id', changeHandler);
+
+            fetchDeferred.resolve({ok: true, status: 200, text: jsonText({data: {id: 10}})});
+
+            return model.save()
+              .then(() => {
+                assert.equal(model.id, 10);
+                assert.equal(changeHandler.callCount, 1);
+                assert.strictEqual(model.hasChanged(), false);
+              });
+          });
+
+          it('ignores "204 No Content" responses', () => {
+            let text = sandbox.stub();
+
+            model.parse = sandbox.stub();
+
+            fetchDeferred.resolve({ok: true, status: 204, text});
+
+            return model.save()
+              .then(() => {
+                assert.equal(text.callCount, 0);
+                assert.equal(model.parse.callCount, 0);
+                assert.deepEqual(model.toJSON(), {a: 1});
+                assert.strictEqual(model.hasChanged(), false);
+              });
+          });
+
+          it('ignores responses with an empty body', () => {
+            model.parse = sandbox.stub();
+
+            fetchDeferred.resolve({ok: true, status: 200, text: () => Promise.resolve('')});
+
+            return model.save()
+              .then(() => {
+                assert.equal(model.parse.callCount, 0);
+                assert.strictEqual(model.hasChanged(), false);
+              });
+          });
+
+          it('rejects without emitting "sync" when the body is malformed', () => {
+            let syncHandler = sandbox.stub();
+
+            model.on('sync', syncHandler);
+
+            fetchDeferred.resolve({ok: true, status: 200, text: () => Promise.resolve('{"id": ')});
+
+            return model.save()
+              .then(() => assert.fail('Expected a rejection.'), err => {
+                assert.ok(err instanceof SyntaxError);
+                assert.equal(syncHandler.callCount, 0);
+              });
+          });
+        });
       });
 
       describe('destroy', () => {
@@ -20,155 +20,2991 @@ function checkId(id) {
   }
 }
 
+function joinUrl(root, id) {
+  return root.endsWith('/') ? root + id : root + '/' + id;
+}
+
+function runLimited(tasks, limit) {
+  let results = [];
+  let next = 0;
+
+  let work = () => {
+    if (next >= tasks.length) {
+      return Promise.resolve();
+    }
+
+    let index = next++;
+
+    return tasks[index]().then(result => {
+      results[index] = result;
+
+      return work();
+    });
+  };
+
+  let workers = [];
+
+  for (let i = 0; i < Math.min(limit, tasks.length); i++) {
+    workers.push(work());
+  }
+
+  return Promise.all(workers).then(() => results);
+}
+
+function appendQuery(url, params) {
+  let query = Object.keys(params)
+    .map(key => encodeURIComponent(key) + '=' + encodeURIComponent(params[key]))
+    .join('&');
+
+  return url + (url.includes('?') ? '&' : '?') + query;
+}
+
+// Parameters may come in any order, and quoted values may hold semicolons and commas.
+function linkParams(text) {
+  let params = {};
+  let paramPattern = /;\s*([^\s=;,]+)\s*(?:=\s*(?:"([^"]*)"|([^\s;,]*)))?/g;
+  let match;
+
+  while ((match = paramPattern.exec(text)) !== null) {
+    params[match[1].toLowerCase()] = match[2] === undefined ? match[3] : match[2];
+  }
+
+  return params;
+}
+
+function parseLinkHeader(header) {
+  let links = {};
+  let linkPattern = /<([^>]*)>((?:[^<"]|"[^"]*")*)/g;
+  let match;
+
+  while ((match = linkPattern.exec(header || '')) !== null) {
+    for (let rel of (linkParams(match[2]).rel || '').trim().split(/\s+/).filter(Boolean)) {
+      links[rel] = match[1];
+    }
+  }
+
+  return links;
+}
+
+// Responses without a body (such as 204 No Content) have no data. Malformed bodies still reject.
+function readJSON(res) {
+  if (res.status === 204) {
+    return Promise.resolve(undefined);
+  }
+
+  return res.text().then(text => text.trim() ? JSON.parse(text) : undefined);
+}
+
+function validationFailed(errors) {
+  let err = new Error('The model is invalid.');
+
+  err.name = 'ValidationError';
+  err.errors = errors;
+
+  return err;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+
+  let prototype = Object.getPrototypeOf(value);
+
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Copies arrays, plain objects and dates. Anything else (such as a model) is shared.
+function cloneDeep(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneDeep);
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  let copy = {};
+
+  for (let key of Object.keys(value)) {
+    copy[key] = cloneDeep(value[key]);
+  }
+
+  return copy;
+}
+
 // Utility functions end.
 
-// EventEmitter starts.
+// EventEmitter starts.
+
+const allHandlers = new WeakMap();
+const allPatterns = new WeakMap();
+const allNamespaces = new WeakMap();
+const allListenings = new WeakMap();
+const allIsolations = new WeakMap();
+const allAsyncModes = new WeakMap();
+const allHandlerOptions = new WeakMap();
+const allLimits = new WeakMap();
+
+// Events emitted inside a batch are queued here until the outermost batch finishes.
+const batching = {depth: 0, entries: [], collapsible: new Map()};
+const immediateEvents = new Set(['newListener', 'removeListener', 'error', 'warning']);
+const patternExpressions = new Map();
+
+function parseName(fullName) {
+  let index = typeof fullName === 'string' ? fullName.indexOf('.') : -1;
+
+  if (index === -1) {
+    return {name: fullName};
+  }
+
+  return {name: fullName.slice(0, index) || undefined, namespace: fullName.slice(index + 1)};
+}
+
+function isPattern(name) {
+  return name === 'all' || typeof name === 'string' && name.includes('*');
+}
+
+function patternMatches(pattern, name) {
+  if (pattern === 'all' || pattern === '*') {
+    return true;
+  }
+
+  if (typeof name !== 'string') {
+    return false;
+  }
+
+  if (!patternExpressions.has(pattern)) {
+    let source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+
+    patternExpressions.set(pattern, new RegExp('^' + source + '$'));
+  }
+
+  return patternExpressions.get(pattern).test(name);
+}
+
+function unhandledError(args) {
+  return args[0] instanceof Error ? args[0] : new Error('Unhandled error.');
+}
+
+function reportError(emitter, err, name, handler) {
+  let {hook} = allIsolations.get(emitter);
+
+  try {
+    if (hook) {
+      hook(err, name, handler);
+    } else {
+      emitter.emit('error', err);
+    }
+  } catch (unreported) {
+    return unreported;
+  }
+}
+
+function callIsolated(emitter, name, handler, args) {
+  try {
+    handler(...args);
+  } catch (err) {
+    return reportError(emitter, err, name, handler);
+  }
+}
+
+// Every handler runs. Errors which could not be reported are thrown afterwards.
+function callAllIsolated(emitter, name, handlers, args) {
+  let unreported;
+
+  for (let handler of handlers) {
+    let error = callIsolated(emitter, name, handler, args);
+
+    unreported = unreported || error;
+  }
+
+  if (unreported) {
+    throw unreported;
+  }
+}
+
+function callHandlers(emitter, name, handlers, args) {
+  if (!handlers || !handlers.size) {
+    return false;
+  }
+
+  if (name !== 'error' && allIsolations.has(emitter)) {
+    callAllIsolated(emitter, name, handlers, args);
+    return true;
+  }
+
+  for (let handler of handlers) {
+    handler(...args);
+  }
+
+  return true;
+}
+
+function callPatternHandlers(emitter, name, args) {
+  let called = false;
+
+  for (let pattern of allPatterns.get(emitter)) {
+    if (pattern !== name && patternMatches(pattern, name)) {
+      called = callHandlers(emitter, name, allHandlers.get(emitter).get(pattern), [name, ...args]) || called;
+    }
+  }
+
+  return called;
+}
+
+// Like emit, but an "error" event without handlers is not thrown.
+function emitQuietly(emitter, name, args) {
+  let called = callHandlers(emitter, name, allHandlers.get(emitter).get(name), args);
+  let calledPatterns = callPatternHandlers(emitter, name, args);
+
+  return called || calledPatterns;
+}
+
+// Batching.
+
+function isCollapsible(name) {
+  return name === 'change' || typeof name === 'string' && name.startsWith('change:');
+}
+
+// Repeated change events keep the position of the first and the arguments of the last.
+function collapseEntry(emitter, name, args) {
+  if (!batching.collapsible.has(emitter)) {
+    batching.collapsible.set(emitter, new Map());
+  }
+
+  let entries = batching.collapsible.get(emitter);
+
+  if (entries.has(name)) {
+    entries.get(name).args = args;
+  } else {
+    let entry = {emitter, name, args};
+
+    entries.set(name, entry);
+    batching.entries.push(entry);
+  }
+}
+
+function deferEmit(emitter, name, args) {
+  if (!batching.depth || immediateEvents.has(name)) {
+    return false;
+  }
+
+  if (isCollapsible(name)) {
+    collapseEntry(emitter, name, args);
+  } else {
+    batching.entries.push({emitter, name, args});
+  }
+
+  return true;
+}
+
+function flushBatch() {
+  let entries = batching.entries;
+  let unreported;
+
+  batching.entries = [];
+  batching.collapsible = new Map();
+
+  for (let {emitter, name, args} of entries) {
+    try {
+      emitter.emit(name, ...args);
+    } catch (err) {
+      unreported = unreported || err;
+    }
+  }
+
+  if (unreported) {
+    throw unreported;
+  }
+}
+
+function snapshotEntries(emitter) {
+  return batching.entries
+    .filter(entry => entry.emitter === emitter)
+    .map(entry => ({entry, args: entry.args}));
+}
+
+// Drops entries queued for an emitter since the snapshot, and restores the arguments of the others.
+function restoreEntries(emitter, snapshot) {
+  let kept = new Set(snapshot.map(({entry}) => entry));
+  let collapsible = batching.collapsible.get(emitter);
+
+  batching.entries = batching.entries.filter(entry => entry.emitter !== emitter || kept.has(entry));
+
+  for (let {entry, args} of snapshot) {
+    entry.args = args;
+  }
+
+  if (collapsible) {
+    for (let [name, entry] of [...collapsible]) {
+      if (!kept.has(entry)) {
+        collapsible.delete(name);
+      }
+    }
+  }
+}
+
+export function batch(fn) {
+  batching.depth += 1;
+
+  try {
+    return fn();
+  } finally {
+    batching.depth -= 1;
+
+    if (!batching.depth) {
+      flushBatch();
+    }
+  }
+}
+
+// Async emit.
+
+function listenersFor(emitter, name, args) {
+  let handlers = allHandlers.get(emitter);
+  let calls = [...handlers.get(name) || []].map(handler => ({handler, args}));
+  let patterns = [...allPatterns.get(emitter)].filter(pattern => pattern !== name && patternMatches(pattern, name));
+
+  for (let pattern of patterns) {
+    for (let handler of handlers.get(pattern)) {
+      calls.push({handler, args: [name, ...args]});
+    }
+  }
+
+  return calls;
+}
+
+function invoke({handler, args}) {
+  return new Promise(resolve => resolve(handler(...args)));
+}
+
+// AggregateError is too new to rely on, so this is a plain Error shaped like one.
+function handlersFailed(errors) {
+  let err = new Error('One or more handlers failed.');
+
+  err.name = 'AggregateError';
+  err.errors = errors;
+
+  return err;
+}
+
+// Each resolves to false when a handler vetoes by returning (or resolving to) false.
+const asyncModes = {
+  parallel(calls) {
+    let settling = calls.map(call => invoke(call).then(result => ({result}), error => ({error})));
+
+    return Promise.all(settling).then(outcomes => {
+      let errors = outcomes.filter(outcome => 'error' in outcome).map(outcome => outcome.error);
+
+      if (errors.length) {
+        throw handlersFailed(errors);
+      }
+
+      return outcomes.every(outcome => outcome.result !== false);
+    });
+  },
+
+  // Stops at the first veto or failure.
+  serial(calls) {
+    let running = calls.reduce((previous, call) => {
+      return previous.then(proceed => proceed && invoke(call).then(result => result !== false));
+    }, Promise.resolve(true));
+
+    return running.catch(err => {
+      throw handlersFailed([err]);
+    });
+  }
+};
+
+function addToNamespace(emitter, namespace, name, handler) {
+  let namespaces = allNamespaces.get(emitter);
+
+  if (!namespaces.has(namespace)) {
+    namespaces.set(namespace, new Map());
+  }
+
+  let names = namespaces.get(namespace);
+
+  if (names.has(name)) {
+    names.get(name).add(handler);
+  } else {
+    names.set(name, new Set([handler]));
+  }
+}
+
+function checkListener(name, handler) {
+  if (name === undefined) {
+    throw new Error('The name cannot be undefined.');
+  }
+
+  if (typeof handler !== 'function') {
+    throw new Error('The handler must be a function.');
+  }
+}
+
+// Priorities and signals.
+
+function priorityOf(emitter, name, handler) {
+  let options = allHandlerOptions.get(emitter).get(name);
+
+  return options && options.has(handler) ? options.get(handler).priority : 0;
+}
+
+// Handlers with a higher priority run first. Prepended handlers run before others of equal priority.
+function insertHandler(emitter, name, handler, priority, prepend) {
+  let handlers = [...allHandlers.get(emitter).get(name)];
+  let index = handlers.findIndex(other => {
+    let otherPriority = priorityOf(emitter, name, other);
+
+    return prepend ? otherPriority <= priority : otherPriority < priority;
+  });
+
+  handlers.splice(index === -1 ? handlers.length : index, 0, handler);
+  allHandlers.get(emitter).set(name, new Set(handlers));
+}
+
+function followSignal(emitter, fullName, handler, signal) {
+  let abort = () => emitter.removeListener(fullName, handler);
+
+  signal.addEventListener('abort', abort, {once: true});
+
+  return abort;
+}
+
+function rememberOptions(emitter, fullName, handler, {priority = 0, signal}) {
+  if (!priority && !signal) {
+    return;
+  }
+
+  let {name} = parseName(fullName);
+  let allOptions = allHandlerOptions.get(emitter);
+  let abort = signal && followSignal(emitter, fullName, handler, signal);
+
+  if (!allOptions.has(name)) {
+    allOptions.set(name, new Map());
+  }
+
+  allOptions.get(name).set(handler, {priority, signal, abort});
+}
+
+function forgetOptions(emitter, name, handler) {
+  let options = allHandlerOptions.get(emitter).get(name);
+
+  if (!options || !options.has(handler)) {
+    return;
+  }
+
+  let {signal, abort} = options.get(handler);
+
+  if (signal) {
+    signal.removeEventListener('abort', abort);
+  }
+
+  options.delete(handler);
+
+  if (!options.size) {
+    allHandlerOptions.get(emitter).delete(name);
+  }
+}
+
+function addHandler(emitter, name, handler, {priority = 0, prepend = false}) {
+  let allHandlersForThis = allHandlers.get(emitter);
+  let handlers = allHandlersForThis.get(name);
+
+  if (!handlers) {
+    allHandlersForThis.set(name, new Set([handler]));
+  } else if (handlers.has(handler)) {
+    return false;
+  } else if (prepend || priority || allHandlerOptions.get(emitter).has(name)) {
+    insertHandler(emitter, name, handler, priority, prepend);
+  } else {
+    handlers.add(handler);
+  }
+
+  return true;
+}
+
+// Leak detection.
+
+function handlerCount(emitter, name) {
+  let handlers = allHandlers.get(emitter).get(name);
+
+  return handlers ? handlers.size : 0;
+}
+
+function maxListenersWarning(emitter, name, count) {
+  let warning = new Error(`Possible leak detected: ${count} listeners added for ${String(name)}.`);
+
+  warning.name = 'MaxListenersExceededWarning';
+  warning.emitter = emitter;
+  warning.eventName = name;
+  warning.count = count;
+
+  return warning;
+}
+
+// Warns once when a name goes over the limit, and again only after dropping back under it.
+function checkLimit(emitter, name) {
+  let limit = allLimits.get(emitter);
+  let count = handlerCount(emitter, name);
+
+  if (!limit || count <= limit.max || limit.warned.has(name)) {
+    return;
+  }
+
+  let warning = maxListenersWarning(emitter, name, count);
+
+  limit.warned.add(name);
+
+  if (limit.hook) {
+    limit.hook(warning);
+  } else {
+    emitter.emit('warning', warning);
+  }
+}
+
+function checkMax(max) {
+  if (typeof max !== 'number' || !(max >= 0)) {
+    throw new Error('The maximum number of listeners must be a non-negative number.');
+  }
+}
+
+function resetLimit(emitter, name) {
+  let limit = allLimits.get(emitter);
+
+  if (limit && handlerCount(emitter, name) <= limit.max) {
+    limit.warned.delete(name);
+  }
+}
+
+function inNamespace(emitter, namespace, name) {
+  let names = allNamespaces.get(emitter).get(namespace);
+  let handlers = names && names.get(name);
+
+  return handler => Boolean(handlers && handlers.has(handler));
+}
+
+function forgetHandler(emitter, name, handler) {
+  let handlers = allHandlers.get(emitter).get(name);
+
+  forgetOptions(emitter, name, handler);
+  resetLimit(emitter, name);
+
+  if (!handlers.size) {
+    allHandlers.get(emitter).delete(name);
+    allPatterns.get(emitter).delete(name);
+  }
+
+  for (let names of allNamespaces.get(emitter).values()) {
+    if (names.has(name)) {
+      names.get(name).delete(handler);
+    }
+  }
+}
+
+function removeHandlers(emitter, name, handlers) {
+  for (let handler of [...handlers]) {
+    emitter.removeListener(name, handler);
+  }
+}
+
+function removeNamespace(emitter, namespace, name) {
+  let names = allNamespaces.get(emitter).get(namespace) || new Map();
+
+  for (let [handlersName, handlers] of [...names]) {
+    if (name === undefined || name === handlersName) {
+      removeHandlers(emitter, handlersName, handlers);
+    }
+  }
+}
+
+function isSameListening(listening, name, handler) {
+  return listening.name === name && listening.handler === handler;
+}
+
+function rememberListening(listener, other, name, handler) {
+  let listenings = allListenings.get(listener);
+
+  if (!listenings.has(other)) {
+    listenings.set(other, []);
+  }
+
+  let forOther = listenings.get(other);
+
+  if (!forOther.some(listening => isSameListening(listening, name, handler))) {
+    forOther.push({name, handler});
+  }
+}
+
+function forgetListening(listener, other, name, handler) {
+  let listenings = allListenings.get(listener);
+  let remaining = (listenings.get(other) || []).filter(listening => !isSameListening(listening, name, handler));
+
+  if (remaining.length) {
+    listenings.set(other, remaining);
+  } else {
+    listenings.delete(other);
+  }
+}
+
+// Like removeAllListeners, a name may be given without a namespace, or a namespace without a name.
+function matchesListening(listening, name) {
+  let wanted = parseName(name);
+  let actual = parseName(listening.name);
+  let sameName = wanted.name === undefined || wanted.name === actual.name;
+
+  return sameName && (wanted.namespace === undefined || wanted.namespace === actual.namespace);
+}
+
+function stopListeningTo(listener, other, name) {
+  for (let listening of allListenings.get(listener).get(other)) {
+    if (name === undefined || matchesListening(listening, name)) {
+      other.removeListener(listening.name, listening.handler);
+      forgetListening(listener, other, listening.name, listening.handler);
+    }
+  }
+}
+
+function abortError(signal) {
+  let err = new Error('The operation was aborted.');
+
+  err.name = 'AbortError';
+  err.cause = signal.reason;
+
+  return err;
+}
+
+function subscribe(emitter, name, signal, handlers) {
+  let onError = err => handlers.error(err);
+  let onAbort = () => handlers.error(abortError(signal));
+
+  emitter.addListener(name, handlers.event);
+
+  if (name !== 'error') {
+    emitter.addListener('error', onError);
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  return () => {
+    emitter.removeListener(name, handlers.event);
+    emitter.removeListener('error', onError);
+
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+const iteratorsStates = new WeakMap();
+
+function settleNext(state) {
+  let {queue, waiting} = state;
+
+  while (waiting.length && queue.length) {
+    waiting.shift().resolve({value: queue.shift(), done: false});
+  }
+
+  while (waiting.length && state.error) {
+    waiting.shift().reject(state.error);
+    state.error = undefined;
+  }
+
+  while (waiting.length && state.done) {
+    waiting.shift().resolve({value: undefined, done: true});
+  }
+}
+
+function closeIterator(state, err) {
+  if (!state.done) {
+    state.done = true;
+    state.error = err;
+    state.unsubscribe();
+  }
+
+  settleNext(state);
+}
+
+class EventIterator {
+  constructor(emitter, name, signal) {
+    let state = {queue: [], waiting: [], done: false, error: undefined};
+
+    iteratorsStates.set(this, state);
+
+    if (signal && signal.aborted) {
+      state.unsubscribe = () => {};
+      closeIterator(state, abortError(signal));
+
+      return;
+    }
+
+    state.unsubscribe = subscribe(emitter, name, signal, {
+      event: (...args) => {
+        state.queue.push(args);
+        settleNext(state);
+      },
+      error: err => closeIterator(state, err)
+    });
+  }
+
+  next() {
+    let state = iteratorsStates.get(this);
+
+    return new Promise((resolve, reject) => {
+      state.waiting.push({resolve, reject});
+      settleNext(state);
+    });
+  }
+
+  return() {
+    closeIterator(iteratorsStates.get(this));
+
+    return Promise.resolve({value: undefined, done: true});
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+export class EventEmitter {
+  static once(emitter, name, options = {}) {
+    let {signal} = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        throw abortError(signal);
+      }
+
+      let unsubscribe = subscribe(emitter, name, signal, {
+        event: (...args) => {
+          unsubscribe();
+          resolve(args);
+        },
+        error: err => {
+          unsubscribe();
+          reject(err);
+        }
+      });
+    });
+  }
+
+  static on(emitter, name, options = {}) {
+    return new EventIterator(emitter, name, options.signal);
+  }
+
+  constructor() {
+    allHandlers.set(this, new Map());
+    allPatterns.set(this, new Set());
+    allNamespaces.set(this, new Map());
+    allListenings.set(this, new Map());
+    allHandlerOptions.set(this, new Map());
+  }
+
+  emit(name, ...args) {
+    if (name === undefined) {
+      throw new Error('The name cannot be undefined.');
+    }
+
+    if (deferEmit(this, name, args)) {
+      return listenersFor(this, name, args).length > 0;
+    }
+
+    let called = callHandlers(this, name, allHandlers.get(this).get(name), args);
+    let calledPatterns = callPatternHandlers(this, name, args);
+
+    if (name === 'error' && !called) {
+      throw unhandledError(args);
+    }
+
+    return called || calledPatterns;
+  }
+
+  emitAsync(name, ...args) {
+    if (name === undefined) {
+      return Promise.reject(new Error('The name cannot be undefined.'));
+    }
+
+    let mode = allAsyncModes.get(this) || 'parallel';
+
+    return asyncModes[mode](listenersFor(this, name, args));
+  }
+
+  setAsyncMode(mode) {
+    if (!asyncModes.hasOwnProperty(mode)) {
+      throw new Error(`Unknown async mode: ${mode}`);
+    }
+
+    allAsyncModes.set(this, mode);
+
+    return this;
+  }
+
+  isolateErrors(hook) {
+    if (hook === false) {
+      allIsolations.delete(this);
+    } else {
+      allIsolations.set(this, {hook});
+    }
+
+    return this;
+  }
+
+  addListener(fullName, handler, options = {}) {
+    let {name, namespace} = parseName(fullName);
+
+    checkListener(name, handler);
+
+    if (options.signal && options.signal.aborted) {
+      return this;
+    }
+
+    if (addHandler(this, name, handler, options)) {
+      rememberOptions(this, fullName, handler, options);
+      checkLimit(this, name);
+    }
+
+    if (isPattern(name)) {
+      allPatterns.get(this).add(name);
+    }
+
+    if (namespace !== undefined) {
+      addToNamespace(this, namespace, name, handler);
+    }
+
+    this.emit('newListener', name, handler);
+
+    return this;
+  }
+
+  on(...args) {
+    return this.addListener(...args);
+  }
+
+  listenTo(other, name, handler, options) {
+    other.addListener(name, handler, options);
+    rememberListening(this, other, name, handler);
+
+    return this;
+  }
+
+  listenToOnce(other, name, handler, options) {
+    let once = (...args) => {
+      other.removeListener(name, once);
+      forgetListening(this, other, name, once);
+      handler(...args);
+    };
+
+    return this.listenTo(other, name, once, options);
+  }
+
+  stopListening(other, name) {
+    for (let target of [...allListenings.get(this).keys()]) {
+      if (other === undefined || other === target) {
+        stopListeningTo(this, target, name);
+      }
+    }
+
+    return this;
+  }
+
+  listeners(fullName) {
+    let {name, namespace} = parseName(fullName);
+    let handlers = [...allHandlers.get(this).get(name) || []];
+
+    return namespace === undefined ? handlers : handlers.filter(inNamespace(this, namespace, name));
+  }
+
+  listenerCount(fullName) {
+    return this.listeners(fullName).length;
+  }
+
+  eventNames() {
+    return [...allHandlers.get(this).keys()];
+  }
+
+  setMaxListeners(max, hook) {
+    checkMax(max);
+
+    if (max === 0 || max === Infinity) {
+      allLimits.delete(this);
+    } else {
+      allLimits.set(this, {max, hook, warned: new Set()});
+    }
+
+    return this;
+  }
+
+  getMaxListeners() {
+    let limit = allLimits.get(this);
+
+    return limit ? limit.max : Infinity;
+  }
+
+  removeListener(fullName, handler) {
+    let {name} = parseName(fullName);
+    let handlers = allHandlers.get(this).get(name);
+
+    if (handlers && handlers.delete(handler)) {
+      forgetHandler(this, name, handler);
+      this.emit('removeListener', name, handler);
+    }
+
+    return this;
+  }
+
+  removeAllListeners(fullName) {
+    let {name, namespace} = parseName(fullName);
+    let allHandlersForThis = allHandlers.get(this);
+
+    if (namespace !== undefined) {
+      removeNamespace(this, namespace, name);
+    } else if (name === undefined) {
+      for (let [name, handlers] of [...allHandlersForThis]) {
+        removeHandlers(this, name, handlers);
+      }
+    } else {
+      removeHandlers(this, name, allHandlersForThis.get(name) || []);
+    }
+
+    return this;
+  }
+}
+
+// EventEmitter ends.
+
+// Collection starts.
+
+const collectionsModels = new WeakMap();
+const collectionsIds = new WeakMap();
+const collectionsIndexes = new WeakMap();
+const modelsCollections = new WeakMap();
+const subsetsSources = new WeakMap();
+const collectionsPaging = new WeakMap();
+const collectionsRemoved = new WeakMap();
+const modelsRemovedFrom = new WeakMap();
+const destroyedModels = new WeakSet();
+
+// Filled in by the Model section, which cannot be referenced from here.
+const modelInternals = {};
+
+function isModel(item) {
+  return modelsCollections.has(item);
+}
+
+function contains(collection, model) {
+  return isModel(model) && modelsCollections.get(model).has(collection);
+}
+
+function toList(items) {
+  return Array.isArray(items) ? items : [items];
+}
+
+function indexId(collection, model) {
+  if (!model.isNew()) {
+    collectionsIds.get(collection).set(model.id, model);
+  }
+}
+
+// Models which lose their ID (for example when cleared) are dropped from the ID index.
+function reindexId(collection, model) {
+  let ids = collectionsIds.get(collection);
+
+  if (!model.isNew()) {
+    ids.set(model.id, model);
+    return;
+  }
+
+  for (let [id, indexed] of [...ids]) {
+    if (indexed === model) {
+      ids.delete(id);
+    }
+  }
+}
+
+function addToIndex(index, model) {
+  let value = model.get(index.attribute);
+  let models = index.byValue.get(value);
+
+  if (!models) {
+    models = new Set();
+    index.byValue.set(value, models);
+  }
+
+  models.add(model);
+  index.byModel.set(model, value);
+}
+
+function removeFromIndex(index, model) {
+  let value = index.byModel.get(model);
+  let models = index.byValue.get(value);
+
+  models.delete(model);
+  index.byModel.delete(model);
+
+  if (!models.size) {
+    index.byValue.delete(value);
+  }
+}
+
+function indexModel(collection, model) {
+  for (let index of collectionsIndexes.get(collection).values()) {
+    addToIndex(index, model);
+  }
+}
+
+function unindexModel(collection, model) {
+  for (let index of collectionsIndexes.get(collection).values()) {
+    removeFromIndex(index, model);
+  }
+}
+
+// Called from every attribute write (silent ones included), so indexes never go stale.
+function reindexModel(model, keys) {
+  for (let collection of modelsCollections.get(model)) {
+    let indexes = collectionsIndexes.get(collection);
+
+    for (let key of keys) {
+      if (indexes.has(key)) {
+        removeFromIndex(indexes.get(key), model);
+        addToIndex(indexes.get(key), model);
+      }
+    }
+  }
+}
+
+function matcher(attributes) {
+  let keys = Object.keys(attributes);
+
+  return model => keys.every(key => model.get(key) === attributes[key]);
+}
+
+function candidates(collection, attributes) {
+  let indexes = collectionsIndexes.get(collection);
+  let attribute = Object.keys(attributes).find(key => indexes.has(key));
+
+  if (!attribute) {
+    return collectionsModels.get(collection);
+  }
+
+  let matches = indexes.get(attribute).byValue.get(attributes[attribute]) || new Set();
+
+  // Results keep the collection order. Checking membership is far cheaper than reading attributes.
+  return matches.size > 1 ? collectionsModels.get(collection).filter(model => matches.has(model)) : [...matches];
+}
+
+function iteratee(attributeOrFunction) {
+  if (typeof attributeOrFunction === 'function') {
+    return attributeOrFunction;
+  }
+
+  return model => model.get(attributeOrFunction);
+}
+
+function compareValues(a, b) {
+  if (a < b) {
+    return -1;
+  }
+
+  if (a > b) {
+    return 1;
+  }
+
+  return 0;
+}
+
+function compareFor(collection) {
+  let comparator = collection.comparator;
+
+  if (typeof comparator === 'string') {
+    return (a, b) => compareValues(a.get(comparator), b.get(comparator));
+  }
+
+  if (comparator.length === 1) {
+    return (a, b) => compareValues(comparator.call(collection, a), comparator.call(collection, b));
+  }
+
+  return (a, b) => comparator.call(collection, a, b);
+}
+
+function sortedIndex(models, model, compare) {
+  let low = 0;
+  let high = models.length;
+
+  while (low < high) {
+    let middle = Math.floor((low + high) / 2);
+
+    if (compare(models[middle], model) <= 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+function sourceIndex(subset, model) {
+  let {parent} = subsetsSources.get(subset);
+  let index = 0;
+
+  for (let other of collectionsModels.get(parent)) {
+    if (other === model) {
+      return index;
+    }
+
+    if (contains(subset, other)) {
+      index++;
+    }
+  }
+
+  return index;
+}
+
+function insertionIndex(collection, models, model) {
+  if (collection.comparator) {
+    return sortedIndex(models, model, compareFor(collection));
+  }
+
+  if (subsetsSources.has(collection)) {
+    return sourceIndex(collection, model);
+  }
+
+  return models.length;
+}
+
+function insertModel(collection, model) {
+  let models = collectionsModels.get(collection);
+
+  models.splice(insertionIndex(collection, models, model), 0, model);
+}
+
+function isInOrder(models, index, compare) {
+  let model = models[index];
+  let before = models[index - 1];
+  let after = models[index + 1];
+
+  return (!before || compare(before, model) <= 0) && (!after || compare(model, after) <= 0);
+}
+
+function reposition(collection, model) {
+  let models = collectionsModels.get(collection);
+  let index = models.indexOf(model);
+  let compare = compareFor(collection);
+
+  if (isInOrder(models, index, compare)) {
+    return;
+  }
+
+  models.splice(index, 1);
+  models.splice(sortedIndex(models, model, compare), 0, model);
+
+  collection.emit('sort');
+}
+
+function sortEventName(collection) {
+  let comparator = collection.comparator;
+
+  if (!comparator) {
+    return;
+  }
+
+  return typeof comparator === 'string' ? 'change:' + comparator : 'change';
+}
+
+function prepareModel(collection, item, options = {}) {
+  if (isModel(item)) {
+    return item;
+  }
+
+  let CollectionModel = collection.model;
+
+  return new CollectionModel(item, {collection, parse: options.parse});
+}
+
+function inOtherStore(model) {
+  return [...modelsCollections.get(model)].some(collection => !subsetsSources.has(collection));
+}
+
+// A removed model is deleted by the next save, unless it has moved to another collection by then.
+function markRemoved(collection, model) {
+  if (model.isNew() || destroyedModels.has(model) || inOtherStore(model)) {
+    return;
+  }
+
+  if (!modelsRemovedFrom.has(model)) {
+    modelsRemovedFrom.set(model, new Set());
+  }
+
+  collectionsRemoved.get(collection).add(model);
+  modelsRemovedFrom.get(model).add(collection);
+}
+
+function clearRemoved(collection, model) {
+  collectionsRemoved.get(collection).delete(model);
+
+  if (modelsRemovedFrom.has(model)) {
+    modelsRemovedFrom.get(model).delete(collection);
+  }
+}
+
+function unmarkRemoved(model) {
+  for (let collection of modelsRemovedFrom.get(model) || []) {
+    collectionsRemoved.get(collection).delete(model);
+  }
+
+  modelsRemovedFrom.delete(model);
+}
+
+function addModel(collection, model) {
+  if (contains(collection, model) || collection.get(model.id)) {
+    return false;
+  }
+
+  insertModel(collection, model);
+  modelsCollections.get(model).add(collection);
+
+  if (!subsetsSources.has(collection)) {
+    unmarkRemoved(model);
+  }
+
+  indexId(collection, model);
+  indexModel(collection, model);
+
+  if (!model.collection) {
+    model.collection = collection;
+  }
+
+  return true;
+}
+
+function mergeModel(model, attributes) {
+  let changes = {};
+
+  for (let key of Object.keys(attributes)) {
+    if (model.get(key) !== attributes[key]) {
+      changes[key] = attributes[key];
+    }
+  }
+
+  let merged = Object.keys(changes).length > 0;
+
+  if (merged) {
+    model.set(changes);
+  }
+
+  return merged;
+}
+
+function findExisting(collection, item) {
+  return contains(collection, item) ? item : collection.get(item.id);
+}
+
+function parseRecord(model, record, options) {
+  return options.parse ? model.parse(record, options) || {} : record;
+}
+
+// Records which came from the server count as saved, so they are not sent back by a save.
+function mergeRecord(model, record, options) {
+  let attributes = parseRecord(model, record, options);
+  let merged = mergeModel(model, attributes);
+
+  if (options.synced) {
+    modelInternals.commit(model, Object.keys(attributes));
+  }
+
+  return merged;
+}
+
+function setModel(collection, item, options, changes) {
+  let existing = findExisting(collection, item);
+
+  if (existing) {
+    if (options.merge && !isModel(item) && mergeRecord(existing, item, options)) {
+      changes.merged.push(existing);
+    }
+
+    return existing;
+  }
+
+  if (options.add) {
+    let model = prepareModel(collection, item, options);
+
+    addModel(collection, model);
+    changes.added.push(model);
+
+    return model;
+  }
+}
+
+function hasChanges(changes) {
+  return changes.added.length + changes.merged.length + changes.removed.length > 0;
+}
+
+function emitChanges(collection, changes, options) {
+  if (options.silent) {
+    return;
+  }
+
+  for (let model of changes.added) {
+    collection.emit('add', model);
+  }
+
+  for (let model of changes.removed) {
+    collection.emit('remove', model);
+  }
+
+  if (changes.added.length && collection.comparator) {
+    collection.emit('sort');
+  }
+
+  if (hasChanges(changes)) {
+    collection.emit('update', changes);
+  }
+}
+
+function removeModel(collection, model) {
+  let models = collectionsModels.get(collection);
+
+  models.splice(models.indexOf(model), 1);
+  modelsCollections.get(model).delete(collection);
+  unindexModel(collection, model);
+
+  if (!model.isNew()) {
+    collectionsIds.get(collection).delete(model.id);
+  }
+
+  if (model.collection === collection) {
+    model.collection = undefined;
+  }
+}
+
+function checkWritable(collection) {
+  if (subsetsSources.has(collection)) {
+    throw new Error('Subsets are read-only.');
+  }
+}
+
+function setModels(collection, models, options) {
+  let {add = true, merge = true, remove = true, silent, parse, synced} = options;
+  let changes = {added: [], merged: [], removed: []};
+  let matched = new Set();
+
+  for (let item of toList(models)) {
+    matched.add(setModel(collection, item, {add, merge, parse, synced}, changes));
+  }
+
+  if (remove) {
+    for (let model of collection) {
+      if (!matched.has(model)) {
+        removeModel(collection, model);
+        changes.removed.push(model);
+      }
+    }
+  }
+
+  emitChanges(collection, changes, {silent});
+}
+
+function removeModels(collection, models, options) {
+  let changes = {added: [], merged: [], removed: []};
+
+  for (let item of toList(models)) {
+    let model = isModel(item) ? item : collection.get(item);
+
+    if (contains(collection, model)) {
+      removeModel(collection, model);
+      changes.removed.push(model);
+    }
+  }
+
+  emitChanges(collection, changes, options);
+
+  return changes.removed;
+}
+
+function resetModels(collection, models, options) {
+  for (let model of collection) {
+    removeModel(collection, model);
+  }
+
+  setModels(collection, models, {merge: false, remove: false, silent: true, parse: options.parse});
+
+  if (!options.silent) {
+    collection.emit('reset');
+  }
+}
+
+function followSource(subset, model) {
+  let source = subsetsSources.get(subset);
+  let matches = source.predicate(model);
+
+  source.values.delete(model);
+
+  if (matches && !contains(subset, model)) {
+    setModels(subset, model, {merge: false, remove: false});
+  }
+
+  if (!matches && contains(subset, model)) {
+    removeModels(subset, model, {});
+  }
+}
+
+function followSourceOrder(subset) {
+  let {parent} = subsetsSources.get(subset);
+
+  if (!subset.comparator) {
+    collectionsModels.set(subset, parent.filter(model => contains(subset, model)));
+    subset.emit('sort');
+  }
+}
+
+function sourceHandlers(subset, parent, predicate) {
+  return {
+    add: model => followSource(subset, model),
+    change: model => followSource(subset, model),
+    remove: model => removeModels(subset, model, {}),
+    reset: () => resetModels(subset, parent.filter(predicate), {}),
+    sort: () => followSourceOrder(subset)
+  };
+}
+
+// The collection parses the response before records (and any paging data) are extracted from it.
+function fetchRecords(collection, url, options, extract) {
+  let setOptions = Object.assign({parse: true}, options, {synced: true});
+
+  return fetch(url, {method: 'get', credentials: 'same-origin'})
+    .then(checkResponse)
+    .then(res => readJSON(res).then(data => extract(res, collection.parse(data, options))))
+    .then(records => {
+      if (!Array.isArray(records)) {
+        throw new Error('Expected an array from the server.');
+      }
+
+      if (setOptions.reset) {
+        collection.reset(records, setOptions);
+      } else {
+        collection.set(records, setOptions);
+      }
+
+      if (!options.silent) {
+        collection.emit('sync');
+      }
+    });
+}
+
+function getter(keyOrFunction) {
+  if (typeof keyOrFunction === 'function') {
+    return keyOrFunction;
+  }
+
+  return data => data[keyOrFunction];
+}
+
+function pageTarget(collection, paging, page) {
+  let url = appendQuery(collection.url(), {[paging.pageParam]: page, [paging.perPageParam]: paging.perPage});
+
+  return {page, url};
+}
+
+function cursorTarget(collection, paging, cursor) {
+  if (!paging.started) {
+    return {url: collection.url()};
+  }
+
+  if (cursor !== undefined && cursor !== null) {
+    return {url: appendQuery(collection.url(), {[paging.cursorParam]: cursor})};
+  }
+}
+
+function linkTarget(url) {
+  return url ? {url} : undefined;
+}
+
+const pagingStrategies = {
+  page: {
+    defaults: {pageParam: 'page', perPageParam: 'per_page', perPage: 20, firstPage: 1, records: data => data},
+
+    next(collection, paging) {
+      if (paging.page === undefined) {
+        return pageTarget(collection, paging, paging.firstPage);
+      }
+
+      if (paging.hasMore) {
+        return pageTarget(collection, paging, paging.page + 1);
+      }
+    },
+
+    previous(collection, paging) {
+      if (paging.page > paging.firstPage) {
+        return pageTarget(collection, paging, paging.page - 1);
+      }
+    },
+
+    update(paging, target, res, data) {
+      let records = getter(paging.records)(data);
+
+      paging.page = target.page;
+      paging.hasMore = Array.isArray(records) && records.length >= paging.perPage;
+
+      return records;
+    }
+  },
+
+  cursor: {
+    defaults: {cursorParam: 'cursor', records: 'data', nextCursor: 'next', previousCursor: 'previous'},
+
+    next(collection, paging) {
+      return cursorTarget(collection, paging, paging.started ? paging.next : undefined);
+    },
+
+    previous(collection, paging) {
+      return paging.started ? cursorTarget(collection, paging, paging.previous) : undefined;
+    },
+
+    update(paging, target, res, data) {
+      paging.started = true;
+      paging.next = getter(paging.nextCursor)(data);
+      paging.previous = getter(paging.previousCursor)(data);
+
+      return getter(paging.records)(data);
+    }
+  },
+
+  link: {
+    defaults: {records: data => data},
+
+    next(collection, paging) {
+      return linkTarget(paging.started ? paging.next : collection.url());
+    },
+
+    previous(collection, paging) {
+      return linkTarget(paging.previous);
+    },
+
+    update(paging, target, res, data) {
+      let links = parseLinkHeader(res.headers.get('Link'));
+
+      paging.started = true;
+      paging.next = links.next;
+      paging.previous = links.prev || links.previous;
+
+      return getter(paging.records)(data);
+    }
+  }
+};
+
+function createPaging(options) {
+  let strategy = pagingStrategies[options.strategy];
+
+  if (!strategy) {
+    throw new Error('Unknown paging strategy: ' + options.strategy);
+  }
+
+  return Object.assign({append: false}, strategy.defaults, options, {strategy});
+}
+
+function pagingFor(collection) {
+  let paging = collectionsPaging.get(collection);
+
+  if (!paging) {
+    throw new Error('Paging is not enabled for this collection.');
+  }
+
+  return paging;
+}
+
+function targetFor(collection, direction) {
+  let paging = pagingFor(collection);
+
+  return paging.strategy[direction](collection, paging);
+}
+
+function fetchPage(collection, direction, options) {
+  let paging = pagingFor(collection);
+  let target = targetFor(collection, direction);
+
+  if (!target) {
+    return Promise.reject(new Error('There is no ' + direction + ' page.'));
+  }
+
+  let pageOptions = Object.assign({remove: !paging.append}, options);
+
+  return fetchRecords(collection, target.url, pageOptions, (res, data) => {
+    return paging.strategy.update(paging, target, res, data);
+  });
+}
+
+function saveTasks(collection) {
+  let tasks = [];
+
+  // Models with a save in flight (such as those being created) are left to that save.
+  for (let model of collectionsModels.get(collection).filter(model => !modelInternals.isSaving(model))) {
+    if (model.isNew()) {
+      tasks.push({model, action: 'create'});
+    } else if (model.hasChanged()) {
+      tasks.push({model, action: 'update'});
+    }
+  }
+
+  for (let model of [...collectionsRemoved.get(collection)].filter(model => !modelInternals.isSaving(model))) {
+    tasks.push({model, action: 'delete'});
+  }
+
+  return tasks;
+}
+
+function deleteRemoved(collection, model) {
+  return fetch(joinUrl(collection.url(), model.id), {method: 'delete', credentials: 'same-origin'})
+    .then(checkResponse)
+    .then(() => clearRemoved(collection, model));
+}
+
+function saveTask(collection, task, options) {
+  let {model, action} = task;
+  let saving = action === 'delete' ?
+    modelInternals.trackSaves([model], () => deleteRemoved(collection, model)) :
+    model.save(options);
+
+  return saving.then(() => ({model, action, ok: true}), error => ({model, action, ok: false, error}));
+}
+
+// What was sent is committed, rather than the attributes as they are when the response arrives.
+function applyBatch(collection, tasks, snapshots, data, options) {
+  let created = data && Array.isArray(data.create) ? data.create : [];
+  let createTasks = tasks.filter(task => task.action === 'create');
+  let createdByModel = new Map(createTasks.map((task, index) => [task.model, created[index]]));
+
+  for (let {model, action} of tasks) {
+    if (action === 'delete') {
+      clearRemoved(collection, model);
+    } else {
+      modelInternals.commitSave(model, snapshots.get(model), createdByModel.get(model), options);
+
+      if (!options.silent) {
+        model.emit('sync');
+      }
+    }
+  }
+}
+
+function sendBatch(collection, tasks, options) {
+  let body = {create: [], update: [], delete: []};
+  let snapshots = new Map();
+
+  for (let {model, action} of tasks) {
+    body[action].push(action === 'delete' ? model.id : model.toJSON(options));
+    snapshots.set(model, modelInternals.snapshot(model));
+  }
+
+  let headers = {
+    Accept: 'application/json',
+    'Content-Type': 'application/json'
+  };
+
+  let sending = () => fetch(options.batchUrl, {method: 'post', body: JSON.stringify(body), headers, credentials: 'same-origin'})
+    .then(checkResponse)
+    .then(readJSON)
+    .then(data => {
+      applyBatch(collection, tasks, snapshots, data, options);
+
+      return tasks.map(({model, action}) => ({model, action, ok: true}));
+    }, error => tasks.map(({model, action}) => ({model, action, ok: false, error})));
+
+  return modelInternals.trackSaves(tasks.map(task => task.model), sending);
+}
+
+function invalidReport({model, action}) {
+  return {model, action, ok: false, error: validationFailed(model.validationError)};
+}
+
+function isInvalid(task, options) {
+  return options.validate !== false && task.action !== 'delete' && !task.model.isValid(options);
+}
+
+// Invalid models are left out of the batch request and reported as failures.
+function saveBatch(collection, tasks, options) {
+  let invalid = new Set(tasks.filter(task => isInvalid(task, options)));
+  let valid = tasks.filter(task => !invalid.has(task));
+  let sending = valid.length ? sendBatch(collection, valid, options) : Promise.resolve([]);
+
+  return sending.then(reports => {
+    let reportsByTask = new Map(valid.map((task, index) => [task, reports[index]]));
+
+    return tasks.map(task => reportsByTask.get(task) || invalidReport(task));
+  });
+}
+
+const unbubbledEvents = new Set(['newListener', 'removeListener']);
+
+// Errors are re-emitted as (err, model), like those of create. They may be handled by the model
+// alone, so a collection with no "error" handlers does not throw them again.
+function reemit(collection, model, name, args) {
+  if (name === 'error') {
+    emitQuietly(collection, name, [args[0], model, ...args.slice(1)]);
+  } else {
+    collection.emit(name, ...args[0] === model ? args : [model, ...args]);
+  }
+}
+
+function onModelEvent(collection, model, name, args) {
+  if (name === 'change:id') {
+    reindexId(collection, model);
+  }
+
+  if (name === 'destroy') {
+    removeModels(collection, model, {});
+  }
+
+  if (name === sortEventName(collection) && contains(collection, model)) {
+    reposition(collection, model);
+  }
+
+  reemit(collection, model, name, args);
+}
+
+// An "error" event which a model has no handlers for is still handled when a collection it belongs
+// to has handlers for it.
+function handledByCollection(model, name) {
+  if (name !== 'error' || handlerCount(model, name)) {
+    return false;
+  }
+
+  return [...modelsCollections.get(model)].some(collection => {
+    return contains(collection, model) && handlerCount(collection, name) > 0;
+  });
+}
+
+function bubble(model, name, args) {
+  if (unbubbledEvents.has(name)) {
+    return;
+  }
+
+  for (let collection of [...modelsCollections.get(model)]) {
+    if (contains(collection, model)) {
+      onModelEvent(collection, model, name, args);
+    }
+  }
+}
+
+// The model and then the collections it belongs to, leaving out those with no handlers for the event.
+function asyncAudience(model, name, args) {
+  let collections = [...modelsCollections.get(model)].filter(collection => contains(collection, model));
+
+  return [model, ...collections].filter(emitter => listenersFor(emitter, name, args).length);
+}
+
+export class Collection extends EventEmitter {
+  constructor(models = [], options = {}) {
+    super();
+
+    collectionsModels.set(this, []);
+    collectionsIds.set(this, new Map());
+    collectionsIndexes.set(this, new Map());
+    collectionsRemoved.set(this, new Set());
+
+    if (options.model) {
+      this.model = options.model;
+    }
+
+    if (options.comparator) {
+      this.comparator = options.comparator;
+    }
+
+    if (options.paging) {
+      collectionsPaging.set(this, createPaging(options.paging));
+    }
+
+    setModels(this, models, {merge: false, remove: false, silent: true});
+  }
+
+  get length() {
+    return collectionsModels.get(this).length;
+  }
+
+  get(id) {
+    if (id === undefined) {
+      return;
+    }
+
+    return collectionsIds.get(this).get(id);
+  }
+
+  at(index) {
+    let models = collectionsModels.get(this);
+
+    return models[index < 0 ? models.length + index : index];
+  }
+
+  set(models = [], options = {}) {
+    checkWritable(this);
+    setModels(this, models, options);
+
+    return this;
+  }
+
+  add(models, options = {}) {
+    return this.set(models, Object.assign({merge: false}, options, {add: true, remove: false}));
+  }
+
+  remove(models, options = {}) {
+    checkWritable(this);
+
+    for (let model of removeModels(this, models, options)) {
+      markRemoved(this, model);
+    }
+
+    return this;
+  }
+
+  reset(models = [], options = {}) {
+    checkWritable(this);
+    resetModels(this, models, options);
+
+    return this;
+  }
+
+  create(attributes, options = {}) {
+    checkWritable(this);
+
+    let model = prepareModel(this, attributes);
+    let wait = options.wait;
+
+    if (!model.collection) {
+      model.collection = this;
+    }
+
+    if (!wait) {
+      this.add(model, options);
+    }
+
+    return model.save(options)
+      .then(() => {
+        if (wait) {
+          this.add(model, options);
+        }
+
+        return model;
+      }, err => {
+        if (!wait) {
+          this.remove(model, options);
+        }
+
+        this.emit('error', err, model);
+
+        throw err;
+      });
+  }
+
+  subset(predicate, options = {}) {
+    let subset = new Collection([], {model: this.model, comparator: options.comparator});
+    let handlers = sourceHandlers(subset, this, predicate);
+
+    subsetsSources.set(subset, {parent: this, predicate, map: options.map, values: new WeakMap()});
+    setModels(subset, this.filter(predicate), {silent: true});
+
+    for (let name of Object.keys(handlers)) {
+      subset.listenTo(this, name, handlers[name]);
+    }
+
+    return subset;
+  }
+
+  values() {
+    let source = subsetsSources.get(this);
+    let map = source && source.map;
+
+    if (!map) {
+      return [...this];
+    }
+
+    return [...this].map(model => {
+      if (!source.values.has(model)) {
+        source.values.set(model, map(model));
+      }
+
+      return source.values.get(model);
+    });
+  }
+
+  detach() {
+    let source = subsetsSources.get(this);
+
+    if (source) {
+      this.stopListening(source.parent);
+    }
+
+    return this;
+  }
+
+  index(attribute) {
+    let indexes = collectionsIndexes.get(this);
+
+    if (indexes.has(attribute)) {
+      return this;
+    }
+
+    let index = {attribute, byValue: new Map(), byModel: new Map()};
+
+    for (let model of collectionsModels.get(this)) {
+      addToIndex(index, model);
+    }
+
+    indexes.set(attribute, index);
+
+    return this;
+  }
+
+  filter(predicate) {
+    return collectionsModels.get(this).filter((model, index) => predicate(model, index));
+  }
+
+  find(predicate) {
+    return collectionsModels.get(this).find((model, index) => predicate(model, index));
+  }
+
+  where(attributes) {
+    return candidates(this, attributes).filter(matcher(attributes));
+  }
+
+  findWhere(attributes) {
+    return candidates(this, attributes).find(matcher(attributes));
+  }
+
+  pluck(attributeName) {
+    return collectionsModels.get(this).map(model => model.get(attributeName));
+  }
+
+  groupBy(attributeOrFunction) {
+    let key = iteratee(attributeOrFunction);
+    let groups = new Map();
+
+    for (let model of collectionsModels.get(this)) {
+      let value = key(model);
+
+      if (groups.has(value)) {
+        groups.get(value).push(model);
+      } else {
+        groups.set(value, [model]);
+      }
+    }
+
+    return groups;
+  }
+
+  indexBy(attributeOrFunction) {
+    let key = iteratee(attributeOrFunction);
+
+    return new Map(collectionsModels.get(this).map(model => [key(model), model]));
+  }
+
+  sort(options = {}) {
+    if (!this.comparator) {
+      throw new Error('Cannot sort a collection without a comparator.');
+    }
+
+    collectionsModels.get(this).sort(compareFor(this));
+
+    if (!options.silent) {
+      this.emit('sort');
+    }
+
+    return this;
+  }
+
+  parse(response) {
+    return response;
+  }
+
+  url() {
+    throw new Error('To sync a collection, a url method must be defined.');
+  }
+
+  save(options = {}) {
+    let {concurrency = 4} = options;
+
+    if (!(concurrency >= 1)) {
+      return Promise.reject(new Error('concurrency must be at least 1.'));
+    }
+
+    let tasks = saveTasks(this);
+
+    if (!tasks.length) {
+      return Promise.resolve([]);
+    }
+
+    if (options.batchUrl) {
+      return saveBatch(this, tasks, options);
+    }
+
+    return runLimited(tasks.map(task => () => saveTask(this, task, options)), concurrency);
+  }
+
+  fetch(options = {}) {
+    return fetchRecords(this, this.url(), options, (res, data) => data);
+  }
+
+  fetchNextPage(options = {}) {
+    return fetchPage(this, 'next', options);
+  }
+
+  fetchPreviousPage(options = {}) {
+    return fetchPage(this, 'previous', options);
+  }
+
+  hasNextPage() {
+    return targetFor(this, 'next') !== undefined;
+  }
+
+  hasPreviousPage() {
+    return targetFor(this, 'previous') !== undefined;
+  }
+
+  [Symbol.iterator]() {
+    return collectionsModels.get(this).slice()[Symbol.iterator]();
+  }
+}
+
+// Collection ends.
+
+// Model starts.
+
+const modelsAttributes = new WeakMap();
+const previousAttributes = new WeakMap();
+
+const validationErrors = new WeakMap();
+
+// Attributes changed since the last "change" event, with their values from before the first change.
+const pendingChanges = new WeakMap();
+
+// The number of saves in flight for each model.
+const savesInFlight = new WeakMap();
+
+function reportInvalid(model, errors, options) {
+  validationErrors.set(model, errors);
+  model.emit('invalid', model, errors, options);
+}
+
+function runValidation(model, attributes, options) {
+  let errors = model.validate(attributes, options);
+
+  if (!errors) {
+    validationErrors.delete(model);
+    return true;
+  }
+
+  reportInvalid(model, errors, options);
+
+  return false;
+}
+
+function candidateAttributes(model, changes, unset) {
+  let candidate = Object.assign({}, modelsAttributes.get(model));
+
+  for (let key of Object.keys(changes)) {
+    if (unset) {
+      delete candidate[key];
+    } else {
+      candidate[key] = changes[key];
+    }
+  }
+
+  return candidate;
+}
+
+// JSON Schema. Only local references are resolved, so nothing is ever fetched.
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(token) {
+  return decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function resolvePointer(root, pointer) {
+  let tokens = pointer ? pointer.slice(1).split('/').map(unescapePointer) : [];
+
+  return tokens.reduce((node, token) => node !== null && typeof node === 'object' ? node[token] : undefined, root);
+}
+
+function findAnchor(node, anchor) {
+  if (node === null || typeof node !== 'object') {
+    return undefined;
+  }
+
+  if (node.$anchor === anchor) {
+    return node;
+  }
+
+  return Object.keys(node).reduce((found, key) => found || findAnchor(node[key], anchor), undefined);
+}
+
+// Fragments are either JSON Pointers ("#/$defs/a") or the names of $anchors ("#a").
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || ref[0] !== '#') {
+    throw new Error(`Only local $refs are supported: ${ref}`);
+  }
+
+  let fragment = ref.slice(1);
+  let target = fragment && fragment[0] !== '/' ? findAnchor(root, fragment) : resolvePointer(root, fragment);
+
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+
+  return target;
+}
+
+// Resolves every $ref up front, so that bad references are found when the model is defined.
+function checkRefs(node, root) {
+  if (node === null || typeof node !== 'object') {
+    return;
+  }
+
+  if (typeof node.$ref === 'string') {
+    resolveRef(root, node.$ref);
+  }
+
+  for (let key of Object.keys(node)) {
+    checkRefs(node[key], root);
+  }
+}
+
+function jsonTypeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+
+  if (type === 'number') {
+    return Number.isFinite(value);
+  }
+
+  return jsonTypeOf(value) === type;
+}
+
+function isJSONObject(value) {
+  return jsonTypeOf(value) === 'object';
+}
+
+function jsonEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (!isJSONObject(a) && !Array.isArray(a) || jsonTypeOf(a) !== jsonTypeOf(b)) {
+    return false;
+  }
+
+  let keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(key => b.hasOwnProperty(key) && jsonEqual(a[key], b[key]));
+}
+
+function formatTest(pattern, check = () => true) {
+  return value => pattern.test(value) && check(value);
+}
+
+const isParsableDate = value => !Number.isNaN(Date.parse(value));
+const octet = '(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+
+const jsonFormats = {
+  'date-time': formatTest(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i, isParsableDate),
+  date: formatTest(/^\d{4}-\d{2}-\d{2}$/, isParsableDate),
+  time: formatTest(/^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i),
+  email: formatTest(/^[^\s@]+@[^\s@]+\.[^\s@]+$/),
+  uri: formatTest(/^[a-z][a-z\d+.-]*:\S*$/i),
+  uuid: formatTest(/^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i),
+  ipv4: formatTest(new RegExp(`^${octet}(\\.${octet}){3}$`))
+};
+
+// The first error found for a location wins.
+function fail(state, pointer, message) {
+  if (!state.errors.hasOwnProperty(pointer)) {
+    state.errors[pointer] = message;
+  }
+}
+
+function matchingPatterns(schema, key) {
+  return Object.keys(schema.patternProperties || {}).filter(pattern => new RegExp(pattern, 'u').test(key));
+}
+
+function checkProperty(schema, value, key, location, state) {
+  let properties = schema.properties || {};
+  let patterns = matchingPatterns(schema, key);
+
+  if (properties.hasOwnProperty(key)) {
+    state.check(properties[key], value[key], location);
+  }
+
+  for (let pattern of patterns) {
+    state.check(schema.patternProperties[pattern], value[key], location);
+  }
+
+  if (!properties.hasOwnProperty(key) && !patterns.length && schema.hasOwnProperty('additionalProperties')) {
+    state.check(schema.additionalProperties, value[key], location);
+  }
+}
+
+function checkProperties(schema, value, pointer, state) {
+  for (let key of Object.keys(value)) {
+    checkProperty(schema, value, key, pointer + '/' + escapePointer(key), state);
+  }
+}
+
+function checkItems(schema, value, pointer, state) {
+  let prefixItems = schema.prefixItems || [];
+
+  value.forEach((item, index) => {
+    let itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+
+    if (itemSchema !== undefined) {
+      state.check(itemSchema, item, pointer + '/' + index);
+    }
+  });
+}
+
+function hasDuplicates(items) {
+  return items.some((item, index) => items.findIndex(other => jsonEqual(item, other)) !== index);
+}
+
+const stringKeywords = {
+  minLength: (limit, value) => [...value].length < limit && `must be at least ${limit} characters long.`,
+  maxLength: (limit, value) => [...value].length > limit && `must be at most ${limit} characters long.`,
+  pattern: (pattern, value) => !new RegExp(pattern, 'u').test(value) && `must match the pattern ${pattern}.`,
+  format: (format, value) => jsonFormats.hasOwnProperty(format) && !jsonFormats[format](value) &&
+    `must be a valid ${format}.`
+};
+
+// Decimal divisors such as 0.01 can't be represented exactly, so the quotient is allowed a few
+// units of rounding error.
+function isMultipleOf(value, divisor) {
+  let quotient = value / divisor;
+
+  return Math.abs(quotient - Math.round(quotient)) <= Math.max(Math.abs(quotient), 1) * Number.EPSILON * 8;
+}
+
+const numberKeywords = {
+  minimum: (limit, value) => value < limit && `must be at least ${limit}.`,
+  maximum: (limit, value) => value > limit && `must be at most ${limit}.`,
+  exclusiveMinimum: (limit, value) => value <= limit && `must be greater than ${limit}.`,
+  exclusiveMaximum: (limit, value) => value >= limit && `must be less than ${limit}.`,
+  multipleOf: (divisor, value) => !isMultipleOf(value, divisor) && `must be a multiple of ${divisor}.`
+};
+
+const arrayKeywords = {
+  minItems: (limit, value) => value.length < limit && `must have at least ${limit} items.`,
+  maxItems: (limit, value) => value.length > limit && `must have at most ${limit} items.`,
+  uniqueItems: (unique, value) => unique && hasDuplicates(value) && 'must not have duplicate items.'
+};
+
+const objectKeywords = {
+  minProperties: (limit, value) => Object.keys(value).length < limit && `must have at least ${limit} properties.`,
+  maxProperties: (limit, value) => Object.keys(value).length > limit && `must have at most ${limit} properties.`
+};
+
+const keywordsByType = {string: stringKeywords, number: numberKeywords, array: arrayKeywords, object: objectKeywords};
+
+function checkSimpleKeywords(schema, value, pointer, state) {
+  let keywords = keywordsByType[jsonTypeOf(value)] || {};
+
+  for (let keyword of Object.keys(keywords)) {
+    let message = schema.hasOwnProperty(keyword) && keywords[keyword](schema[keyword], value);
+
+    if (message) {
+      fail(state, pointer, message);
+    }
+  }
+}
+
+function checkRequired(schema, value, pointer, state) {
+  for (let key of schema.required || []) {
+    if (!value.hasOwnProperty(key)) {
+      fail(state, pointer + '/' + escapePointer(key), 'is required.');
+    }
+  }
+}
+
+function checkStructure(schema, value, pointer, state) {
+  if (isJSONObject(value)) {
+    checkRequired(schema, value, pointer, state);
+    checkProperties(schema, value, pointer, state);
+  } else if (Array.isArray(value)) {
+    checkItems(schema, value, pointer, state);
+  }
+}
+
+function checkValueKeywords(schema, value, pointer, state) {
+  let types = [].concat(schema.type || []);
+
+  if (types.length && !types.some(type => matchesType(type, value))) {
+    fail(state, pointer, `must be of type ${types.join(' or ')}.`);
+  } else if (schema.hasOwnProperty('const') && !jsonEqual(schema.const, value)) {
+    fail(state, pointer, `must be equal to ${JSON.stringify(schema.const)}.`);
+  } else if (schema.enum && !schema.enum.some(allowed => jsonEqual(allowed, value))) {
+    fail(state, pointer, 'must be one of the allowed values.');
+  }
+}
+
+function checkConditional(schema, value, pointer, state) {
+  if (!schema.hasOwnProperty('if')) {
+    return;
+  }
+
+  let branch = state.test(schema.if, value) ? schema.then : schema.else;
+
+  if (branch !== undefined) {
+    state.check(branch, value, pointer);
+  }
+}
+
+function checkCombinators(schema, value, pointer, state) {
+  for (let subschema of schema.allOf || []) {
+    state.check(subschema, value, pointer);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(subschema => state.test(subschema, value))) {
+    fail(state, pointer, 'must match at least one of the anyOf schemas.');
+  }
+
+  if (schema.oneOf && schema.oneOf.filter(subschema => state.test(subschema, value)).length !== 1) {
+    fail(state, pointer, 'must match exactly one of the oneOf schemas.');
+  }
+
+  if (schema.hasOwnProperty('not') && state.test(schema.not, value)) {
+    fail(state, pointer, 'must not match the not schema.');
+  }
+}
+
+const schemaChecks = [checkValueKeywords, checkSimpleKeywords, checkStructure, checkCombinators, checkConditional];
+
+function checkSchema(schema, value, pointer, state) {
+  if (schema === false) {
+    fail(state, pointer, 'is not allowed.');
+    return;
+  }
+
+  if (schema === true) {
+    return;
+  }
+
+  if (schema.hasOwnProperty('$ref')) {
+    state.check(resolveRef(state.root, schema.$ref), value, pointer);
+  }
+
+  for (let check of schemaChecks) {
+    check(schema, value, pointer, state);
+  }
+}
+
+function createState(root) {
+  let state = {root, errors: {}};
+
+  state.check = (schema, value, pointer) => checkSchema(schema, value, pointer, state);
+  state.test = (schema, value) => {
+    let scratch = createState(root);
+
+    scratch.check(schema, value, '');
+
+    return !Object.keys(scratch.errors).length;
+  };
+
+  return state;
+}
+
+// Resolves to a map of JSON Pointers (of locations in the value) to messages, or undefined.
+function jsonSchemaErrors(root, schema, value) {
+  let state = createState(root);
+
+  state.check(schema, value, '');
+
+  return Object.keys(state.errors).length ? state.errors : undefined;
+}
+
+function isUnder(pointer, prefixes) {
+  return prefixes.some(prefix => pointer === prefix || pointer.startsWith(prefix + '/'));
+}
+
+// Only errors caused by the attributes being set are relevant to a set.
+function errorsUnder(errors, keys) {
+  let prefixes = keys.map(key => '/' + escapePointer(key));
+  let relevant = Object.keys(errors || {}).filter(pointer => isUnder(pointer, prefixes));
+
+  if (!relevant.length) {
+    return;
+  }
+
+  let selected = {};
+
+  for (let pointer of relevant) {
+    selected[pointer] = errors[pointer];
+  }
+
+  return selected;
+}
+
+// Attributes returned by the server are merged, and count as saved along with those which were sent.
+function commitSave(model, attributes, data, options) {
+  let parsed = data === undefined ? undefined : model.parse(data, options);
+  let saved = Object.assign({}, attributes);
+
+  if (isPlainObject(parsed)) {
+    model.set(parsed, Object.assign({}, options, {validate: false}));
+
+    for (let key of Object.keys(parsed)) {
+      saved[key] = model.get(key);
+    }
+  }
+
+  previousAttributes.set(model, saved);
+}
+
+function sendModel(model, options) {
+  let attributes = Object.assign({}, modelsAttributes.get(model));
 
-const allHandlers = new WeakMap();
+  if (options.validate !== false && !runValidation(model, attributes, options)) {
+    return Promise.reject(validationFailed(model.validationError));
+  }
 
-export class EventEmitter {
-  constructor() {
-    allHandlers.set(this, new Map());
+  let [method, url] = model.isNew() ?
+    ['post', model.collection ? model.collection.url() : model.urlRoot()] :
+    ['put', model.url()];
+
+  let body = JSON.stringify(model.toJSON(options));
+  let headers = {
+    Accept: 'application/json',
+    'Content-Type': 'application/json'
+  };
+
+  return fetch(url, {method, body, headers, credentials: 'same-origin'})
+    .then(checkResponse)
+    .then(readJSON)
+    .then(data => {
+      commitSave(model, attributes, data, options);
+
+      if (!options.silent) {
+        model.emit('sync');
+      }
+    });
+}
+
+// Schemas.
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+function coerceString(value) {
+  return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+}
+
+function coerceNumber(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return value;
   }
 
-  emit(name, ...args) {
-    if (name === undefined) {
-      throw new Error('The name cannot be undefined.');
-    }
+  let number = Number(value);
 
-    let handlers = allHandlers.get(this).get(name);
+  return Number.isNaN(number) ? value : number;
+}
 
-    if (!handlers || !handlers.size) {
-      return false;
+const booleanStrings = new Map([['true', true], ['false', false], ['1', true], ['0', false]]);
+
+function coerceBoolean(value) {
+  let key = typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+
+  return booleanStrings.has(key) ? booleanStrings.get(key) : value;
+}
+
+function coerceDate(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return value;
+  }
+
+  let date = new Date(value);
+
+  return Number.isNaN(date.getTime()) ? value : date;
+}
+
+const schemaTypes = new Map([
+  [String, {description: 'a string', test: value => typeof value === 'string', coerce: coerceString}],
+  [Number, {description: 'a number', test: value => typeof value === 'number' && !Number.isNaN(value), coerce: coerceNumber}],
+  [Boolean, {description: 'a boolean', test: value => typeof value === 'boolean', coerce: coerceBoolean}],
+  [Date, {description: 'a valid date', test: value => value instanceof Date && !Number.isNaN(value.getTime()), coerce: coerceDate}],
+  [Array, {description: 'an array', test: Array.isArray, coerce: value => value}]
+]);
+
+// Any other type is taken to be a nested model class.
+function typeFor(Type) {
+  if (schemaTypes.has(Type)) {
+    return schemaTypes.get(Type);
+  }
+
+  return {
+    description: `an instance of ${Type.name || 'the nested model'}`,
+    test: value => value instanceof Type,
+    coerce: value => isPlainObject(value) ? new Type(value) : value
+  };
+}
+
+function coerceValue(spec, value) {
+  if (isMissing(value) || !spec.type) {
+    return value;
+  }
+
+  let coerced = typeFor(spec.type).coerce(value);
+
+  return Array.isArray(coerced) && spec.items ? coerced.map(item => coerceValue(spec.items, item)) : coerced;
+}
+
+function coerceAttributes(schema, attributes) {
+  let coerced = Object.assign({}, attributes);
+
+  for (let key of Object.keys(schema || {})) {
+    if (attributes.hasOwnProperty(key)) {
+      coerced[key] = coerceValue(schema[key], attributes[key]);
     }
+  }
 
-    for (let handler of handlers) {
-      handler(...args);
+  return coerced;
+}
+
+function schemaDefaults(schema) {
+  let defaults = {};
+
+  for (let key of Object.keys(schema || {})) {
+    let spec = schema[key];
+
+    if (spec.hasOwnProperty('default')) {
+      defaults[key] = typeof spec.default === 'function' ? spec.default() : spec.default;
     }
+  }
 
-    return true;
+  return defaults;
+}
+
+function isSized(value) {
+  return typeof value === 'string' || Array.isArray(value);
+}
+
+function measure(value) {
+  if (isSized(value)) {
+    return value.length;
   }
 
-  addListener(name, handler) {
-    if (name === undefined) {
-      throw new Error('The name cannot be undefined.');
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function rangeError(spec, value, label) {
+  let unit = isSized(value) ? ' in length' : '';
+
+  if (spec.min !== undefined && measure(value) < measure(spec.min)) {
+    return `${label} must be at least ${spec.min}${unit}.`;
+  }
+
+  if (spec.max !== undefined && measure(value) > measure(spec.max)) {
+    return `${label} must be at most ${spec.max}${unit}.`;
+  }
+}
+
+function enumError(spec, value, label) {
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${label} must be one of ${spec.enum.join(', ')}.`;
+  }
+}
+
+function patternError(spec, value, label) {
+  if (spec.pattern && typeof value === 'string' && !new RegExp(spec.pattern).test(value)) {
+    return `${label} must match ${spec.pattern}.`;
+  }
+}
+
+// Nested models report their own errors object.
+function nestedErrors(value) {
+  return isModel(value) ? value.validate(modelsAttributes.get(value), {}) : undefined;
+}
+
+function typeError(spec, value, label) {
+  let type = spec.type && typeFor(spec.type);
+
+  if (type && !type.test(value)) {
+    return `${label} must be ${type.description}.`;
+  }
+}
+
+const constraintChecks = [typeError, enumError, patternError, rangeError];
+
+function constraintError(spec, value, label) {
+  for (let check of constraintChecks) {
+    let error = check(spec, value, label);
+
+    if (error) {
+      return error;
     }
+  }
+}
+
+function valueError(spec, value, label) {
+  if (isMissing(value)) {
+    return spec.required ? `${label} is required.` : undefined;
+  }
+
+  let error = constraintError(spec, value, label);
+
+  if (error) {
+    return error;
+  }
 
-    if (typeof handler !== 'function') {
-      throw new Error('The handler must be a function.');
+  if (spec.items && Array.isArray(value)) {
+    return value.map((item, index) => valueError(spec.items, item, `${label}[${index}]`)).find(Boolean);
+  }
+
+  return nestedErrors(value);
+}
+
+function schemaErrors(schema, attributes) {
+  let errors = {};
+
+  for (let key of Object.keys(schema || {})) {
+    let error = valueError(schema[key], attributes[key], key);
+
+    if (error) {
+      errors[key] = error;
     }
+  }
 
-    let allHandlersForThis = allHandlers.get(this);
-    let handlers = allHandlersForThis.get(name);
+  return Object.keys(errors).length ? errors : undefined;
+}
 
-    if (handlers) {
-      handlers.add(handler);
-    } else {
-      allHandlersForThis.set(name, new Set([handler]));
+function serializeValue(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+
+  return isModel(value) ? value.toJSON() : value;
+}
+
+function serializeAttributes(schema, attributes) {
+  let serialized = Object.assign({}, attributes);
+
+  for (let key of Object.keys(schema || {})) {
+    if (attributes.hasOwnProperty(key)) {
+      serialized[key] = serializeValue(attributes[key]);
     }
+  }
 
-    this.emit('newListener', name, handler);
+  return serialized;
+}
 
-    return this;
+function normalizeSet(key, value, options) {
+  if (key !== null && typeof key === 'object') {
+    return {attributes: key, options: value || {}};
   }
 
-  on(...args) {
-    return this.addListener(...args);
+  return {attributes: {[key]: value}, options: options || {}};
+}
+
+function checkIdChange(model, attributes, unset) {
+  if (!attributes.hasOwnProperty('id')) {
+    return;
   }
 
-  removeListener(name, handler) {
-    let handlers = allHandlers.get(this).get(name);
+  let id = modelsAttributes.get(model).id;
+  let newId = unset ? undefined : attributes.id;
 
-    if (handlers && handlers.delete(handler)) {
-      this.emit('removeListener', name, handler);
+  if (newId === id) {
+    return;
+  }
+
+  if (id !== undefined) {
+    throw new Error('Cannot change the ID of a model.');
+  }
+
+  checkId(newId);
+}
+
+function isSameValue(a, b) {
+  return a === b || a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+}
+
+function changeAttribute(attributes, key, value, unset) {
+  if (!unset) {
+    // An equal Date is not stored, or hasChanged would see a new object where nothing changed.
+    let changed = !isSameValue(attributes[key], value);
+
+    if (changed) {
+      attributes[key] = value;
     }
 
-    return this;
+    return changed;
   }
 
-  removeAllListeners(name) {
-    let allHandlersForThis = allHandlers.get(this);
+  if (!attributes.hasOwnProperty(key)) {
+    return false;
+  }
 
-    let removeHandlers = name => {
-      let handlers = allHandlersForThis.get(name);
+  delete attributes[key];
 
-      for (let handler of handlers) {
-        this.emit('removeListener', name, handler);
-      }
+  return true;
+}
 
-      allHandlersForThis.delete(name);
-    };
+function applyChanges(model, changes, unset) {
+  let attributes = modelsAttributes.get(model);
+  let pending = pendingChanges.get(model);
+  let changed = [];
 
-    if (name === undefined) {
-      for (let name of allHandlersForThis.keys()) {
-        removeHandlers(name);
+  for (let key of Object.keys(changes)) {
+    let previous = attributes[key];
+
+    if (changeAttribute(attributes, key, changes[key], unset)) {
+      changed.push(key);
+
+      if (!pending.has(key)) {
+        pending.set(key, previous);
       }
-    } else {
-      removeHandlers(name);
     }
+  }
 
-    return this;
+  reindexModel(model, changed);
+
+  return changed;
+}
+
+function changesetFor(model) {
+  let attributes = modelsAttributes.get(model);
+  let changeset = {};
+
+  for (let [key, previous] of pendingChanges.get(model)) {
+    changeset[key] = {value: attributes[key], previous};
   }
+
+  return changeset;
 }
 
-// EventEmitter ends.
+function emitAttributeChanges(model, keys, options) {
+  if (!keys.length) {
+    return;
+  }
 
-// Collection starts.
+  let attributes = modelsAttributes.get(model);
+  let changeset = changesetFor(model);
 
-export class Collection extends EventEmitter {
-  constructor() {
-    super();
+  model.emit('change', model, changeset);
+
+  for (let key of keys) {
+    model.emit('change:' + key, model, attributes[key], changeset[key].previous, options);
   }
 }
 
-// Collection ends.
+function defaultsFor(ModelClass) {
+  let defaults = typeof ModelClass.defaults === 'function' ? ModelClass.defaults() : ModelClass.defaults;
 
-// Model starts.
+  return cloneDeep(Object.assign(schemaDefaults(ModelClass.schema), defaults));
+}
 
-const modelsAttributes = new WeakMap();
-const previousAttributes = new WeakMap();
+function beginSave(model) {
+  savesInFlight.set(model, (savesInFlight.get(model) || 0) + 1);
+
+  return () => {
+    let count = savesInFlight.get(model) - 1;
+
+    if (count) {
+      savesInFlight.set(model, count);
+    } else {
+      savesInFlight.delete(model);
+    }
+  };
+}
+
+// The models count as being saved until the promise returned by start settles.
+function trackSaves(models, start) {
+  let endings = models.map(beginSave);
+  let done = () => endings.forEach(end => end());
+  let saving;
+
+  try {
+    saving = start();
+  } catch (err) {
+    done();
+    throw err;
+  }
+
+  return saving.then(result => {
+    done();
+
+    return result;
+  }, err => {
+    done();
+    throw err;
+  });
+}
+
+// Without the wait option a model leaves its collection before the server responds, so that
+// collection is given the "destroy" event directly.
+function emitDestroy(model, owner) {
+  let left = collectionsModels.has(owner) && !contains(owner, model);
+
+  model.emit('destroy');
+
+  if (left) {
+    owner.emit('destroy', model);
+  }
+}
+
+// Resolves to false when a handler on the model, or on a collection it belongs to, vetoes the save.
+function emitBeforeSave(emitters, model, options) {
+  return emitters.reduce((proceeding, emitter) => {
+    return proceeding.then(proceed => proceed && emitter.emitAsync('before:save', model, options));
+  }, Promise.resolve(true));
+}
 
 export class Model extends EventEmitter {
   constructor(attributes = {}, options = {}) {
     super();
 
-    if (attributes.id !== undefined) {
-      checkId(attributes.id);
+    let parsed = options.parse ? this.parse(attributes, options) || {} : attributes;
+    let initial = coerceAttributes(this.constructor.schema, Object.assign(defaultsFor(this.constructor), parsed));
+
+    if (initial.id !== undefined) {
+      checkId(initial.id);
     }
 
-    modelsAttributes.set(this, attributes);
-    previousAttributes.set(this, Object.assign({}, attributes));
+    modelsAttributes.set(this, initial);
+    previousAttributes.set(this, Object.assign({}, initial));
+    modelsCollections.set(this, new Set());
+    pendingChanges.set(this, new Map());
 
     if (options.collection instanceof Collection) {
       this.collection = options.collection;
     }
   }
 
+  emit(name, ...args) {
+    if (deferEmit(this, name, args)) {
+      return listenersFor(this, name, args).length > 0;
+    }
+
+    if (name === 'change') {
+      pendingChanges.get(this).clear();
+    }
+
+    let emitted = handledByCollection(this, name) ? emitQuietly(this, name, args) : super.emit(name, ...args);
+
+    bubble(this, name, args);
+
+    return emitted;
+  }
+
   get(attributeName) {
     return modelsAttributes.get(this)[attributeName];
   }
 
-  set(attributeName, value) {
-    let attributes = modelsAttributes.get(this);
+  set(key, value, options) {
+    let normalized = normalizeSet(key, value, options);
+    let {unset, validate} = normalized.options;
+    let changes = unset ? normalized.attributes : coerceAttributes(this.constructor.schema, normalized.attributes);
 
-    if (attributes[attributeName] === value) {
-      return this;
+    checkIdChange(this, changes, unset);
+
+    if (validate && !runValidation(this, candidateAttributes(this, changes, unset), normalized.options)) {
+      return false;
+    }
+
+    let changed = applyChanges(this, changes, unset);
+
+    if (!normalized.options.silent) {
+      emitAttributeChanges(this, changed, normalized.options);
     }
 
-    if (attributeName === 'id') {
-      if (attributes.id !== undefined) {
-        throw new Error('Cannot change the ID of a model.');
+    return this;
+  }
+
+  unset(attributeName, options = {}) {
+    return this.set(attributeName, undefined, Object.assign({}, options, {unset: true}));
+  }
+
+  transaction(fn) {
+    return batch(() => {
+      let attributes = Object.assign({}, modelsAttributes.get(this));
+      let pending = new Map(pendingChanges.get(this));
+      let snapshot = snapshotEntries(this);
+
+      try {
+        return fn(this);
+      } catch (err) {
+        let written = Object.keys(Object.assign({}, modelsAttributes.get(this), attributes));
+
+        modelsAttributes.set(this, attributes);
+        pendingChanges.set(this, pending);
+        restoreEntries(this, snapshot);
+        reindexModel(this, written);
+
+        throw err;
+      }
+    });
+  }
+
+  static fromJSONSchema(jsonSchema) {
+    checkRefs(jsonSchema, jsonSchema);
+
+    class JSONSchemaModel extends this {
+      set(key, value, options) {
+        let normalized = normalizeSet(key, value, options);
+
+        if (normalized.options.validate === false) {
+          return super.set(normalized.attributes, normalized.options);
+        }
+
+        let candidate = candidateAttributes(this, normalized.attributes, normalized.options.unset);
+        let errors = errorsUnder(jsonSchemaErrors(jsonSchema, jsonSchema, candidate), Object.keys(normalized.attributes));
+
+        if (errors) {
+          reportInvalid(this, errors, normalized.options);
+          return false;
+        }
+
+        return super.set(normalized.attributes, Object.assign({}, normalized.options, {validate: false}));
       }
 
-      checkId(value);
+      validate(attributes, options) {
+        return jsonSchemaErrors(jsonSchema, jsonSchema, attributes) || super.validate(attributes, options);
+      }
     }
 
-    attributes[attributeName] = value;
+    JSONSchemaModel.jsonSchema = jsonSchema;
+
+    return JSONSchemaModel;
+  }
 
-    this.emit('change');
-    this.emit('change:' + attributeName, value);
+  validate(attributes) {
+    return schemaErrors(this.constructor.schema, attributes);
+  }
 
-    return this;
+  isValid(options = {}) {
+    return runValidation(this, Object.assign({}, modelsAttributes.get(this)), options);
+  }
+
+  get validationError() {
+    return validationErrors.has(this) ? validationErrors.get(this) : null;
   }
 
   get id() {
@@ -185,12 +3021,14 @@ export class Model extends EventEmitter {
     return attribute !== undefined;
   }
 
-  clear({silent = false}) {
-    modelsAttributes.set(this, {});
+  clear(options = {}) {
+    let changed = applyChanges(this, Object.assign({}, modelsAttributes.get(this)), true);
 
-    if (!silent) {
-      this.emit('change');
+    if (!options.silent) {
+      emitAttributeChanges(this, changed, options);
     }
+
+    return this;
   }
 
   hasChanged(attributeName) {
@@ -227,6 +3065,14 @@ export class Model extends EventEmitter {
     return changes;
   }
 
+  parse(response) {
+    return response;
+  }
+
+  toJSON() {
+    return serializeAttributes(this.constructor.schema, modelsAttributes.get(this));
+  }
+
   previous(attribute) {
     let attributes = previousAttributes.get(this);
 
@@ -251,16 +3097,16 @@ export class Model extends EventEmitter {
     }
 
     let urlRoot = this.collection ? this.collection.url() : this.urlRoot();
-    let attributes = modelsAttributes.get(this);
 
-    return urlRoot.endsWith('/') ? urlRoot + attributes.id : urlRoot + '/' + attributes.id;
+    return joinUrl(urlRoot, modelsAttributes.get(this).id);
   }
 
   fetch(options = {}) {
     return fetch(this.url(), {method: 'get', credentials: 'same-origin'})
       .then(checkResponse)
-      .then(res => {
-        let data = res.json();
+      .then(readJSON)
+      .then(response => {
+        let data = coerceAttributes(this.constructor.schema, this.parse(response, options) || {});
 
         if (data.id !== this.id) {
           throw new Error('Server ID mismatch.');
@@ -269,6 +3115,7 @@ export class Model extends EventEmitter {
         let preFetchAttribute = modelsAttributes.get(this);
 
         modelsAttributes.set(this, Object.assign({}, data, preFetchAttribute));
+        reindexModel(this, Object.keys(data));
         previousAttributes.set(this, Object.assign({}, data));
 
         if (!options.silent) {
@@ -278,35 +3125,29 @@ export class Model extends EventEmitter {
   }
 
   save(options = {}) {
-    let body;
-    let method;
-    let attributes = Object.assign({}, modelsAttributes.get(this));
-    let url;
+    return trackSaves([this], () => {
+      let emitters = asyncAudience(this, 'before:save', [this, options]);
 
-    if (this.isNew()) {
-      [method, url, body] = ['post', this.collection ? this.collection.url() : this.urlRoot(), attributes];
-    } else {
-      [method, url, body] = ['put', this.url(), attributes];
-    }
-
-    let headers = {
-      Accept: 'application/json',
-      'Content-Type': 'application/json'
-    };
+      if (!emitters.length) {
+        return sendModel(this, options);
+      }
 
-    return fetch(url, {method, body, headers, credentials: 'same-origin'})
-      .then(checkResponse)
-      .then(() => {
-        previousAttributes.set(this, Object.assign({}, attributes));
+      return emitBeforeSave(emitters, this, options)
+        .then(proceed => {
+          if (!proceed) {
+            throw new Error('The save was vetoed by a "before:save" handler.');
+          }
 
-        if (!options.silent) {
-          this.emit('sync');
-        }
-      });
+          return sendModel(this, options);
+        });
+    });
   }
 
   destroy(options = {}) {
     let wait = options.wait;
+    let owner = this.collection;
+
+    destroyedModels.add(this);
 
     let collectionRemove = () => {
       if (this.collection) {
@@ -315,14 +3156,20 @@ export class Model extends EventEmitter {
       }
     };
 
-    if (this.isNew()) {
+    // "destroy" is emitted before the model leaves its collection, so the collection re-emits it.
+    let destroyed = () => {
       previousAttributes.set(this, {});
-      collectionRemove();
 
       if (!options.silent) {
-        this.emit('destroy');
+        emitDestroy(this, owner);
       }
 
+      collectionRemove();
+    };
+
+    if (this.isNew()) {
+      destroyed();
+
       return Promise.resolve();
     }
 
@@ -334,18 +3181,27 @@ export class Model extends EventEmitter {
 
     return fetch(url, {method: 'delete', credentials: 'same-origin'})
       .then(checkResponse)
-      .then(() => {
-        previousAttributes.set(this, {});
+      .then(destroyed);
+  }
+}
 
-        if (wait) {
-          collectionRemove();
-        }
+Collection.prototype.model = Model;
 
-        if (!options.silent) {
-          this.emit('destroy');
-        }
-      });
+modelInternals.isSaving = model => savesInFlight.has(model);
+modelInternals.trackSaves = trackSaves;
+modelInternals.snapshot = model => Object.assign({}, modelsAttributes.get(model));
+modelInternals.commitSave = commitSave;
+
+// Commits the given keys only.
+modelInternals.commit = (model, keys) => {
+  let attributes = modelsAttributes.get(model);
+  let previous = Object.assign({}, previousAttributes.get(model));
+
+  for (let key of keys) {
+    changeAttribute(previous, key, attributes[key], !attributes.hasOwnProperty(key));
   }
-}
+
+  previousAttributes.set(model, previous);
+};
 
 // Model ends.